@@ -0,0 +1,98 @@
+/**
+ * Builds search tokens for messages stored before search existed, in
+ * batches. Each message is decrypted in memory only to compute its tokens.
+ *
+ * Safe to re-run: indexed messages are skipped (unless --rebuild is given),
+ * and a message that changed after it was read is left for the next run.
+ *
+ * Usage: node scripts/index-messages-for-search.js [--batch-size=500] [--rebuild] [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const Group = require('../src/models/Group');
+const Message = require('../src/models/Message');
+const encryptionService = require('../src/services/encryptionService');
+const searchService = require('../src/services/searchService');
+
+const args = process.argv.slice(2);
+const batchSizeArg = args.find(arg => arg.startsWith('--batch-size='));
+const BATCH_SIZE = parseInt(batchSizeArg?.split('=')[1] || process.env.MIGRATION_BATCH_SIZE || '500', 10);
+const DRY_RUN = args.includes('--dry-run');
+const REBUILD = args.includes('--rebuild');
+
+const groupCache = new Map();
+
+const loadGroup = async (groupId) => {
+  const key = groupId.toString();
+  if (!groupCache.has(key)) {
+    groupCache.set(key, await Group.findById(groupId).select('+encryptionKey +keyHistory +searchKey'));
+  }
+  return groupCache.get(key);
+};
+
+const indexAll = async () => {
+  await connectDB();
+
+  let lastId = null;
+  let indexed = 0;
+  let failed = 0;
+
+  for (;;) {
+    // e2e messages can't be read by the server and deleted ones have no content
+    const query = {
+      algorithm: { $ne: 'e2e' },
+      encryptedContent: { $exists: true },
+      deletedAt: null
+    };
+    if (!REBUILD) query.searchTokens = { $exists: false };
+    if (lastId) query._id = { $gt: lastId };
+
+    const batch = await Message.find(query).sort({ _id: 1 }).limit(BATCH_SIZE).lean();
+    if (batch.length === 0) break;
+    lastId = batch[batch.length - 1]._id;
+
+    const operations = [];
+    for (const message of batch) {
+      const group = await loadGroup(message.group);
+      if (!group) {
+        console.error(`Skipping message ${message._id}: group not found`);
+        failed++;
+        continue;
+      }
+
+      try {
+        const plaintext = await encryptionService.decryptForGroup(group, message);
+        operations.push({
+          updateOne: {
+            // Only index the exact content that was read
+            filter: { _id: message._id, encryptedContent: message.encryptedContent },
+            update: { $set: { searchTokens: await searchService.indexTokens(group, plaintext) } }
+          }
+        });
+      } catch (error) {
+        console.error(`Skipping message ${message._id}: ${error.message}`);
+        failed++;
+      }
+    }
+
+    if (operations.length > 0 && !DRY_RUN) {
+      const result = await Message.bulkWrite(operations, { ordered: false });
+      indexed += result.modifiedCount;
+    } else {
+      indexed += operations.length;
+    }
+
+    console.log(`Processed batch ending at ${lastId} (${indexed} indexed, ${failed} failed)`);
+  }
+
+  console.log(`${DRY_RUN ? '[dry run] ' : ''}Done: ${indexed} messages indexed, ${failed} failed`);
+  if (failed > 0) process.exitCode = 1;
+};
+
+indexAll()
+  .catch((error) => {
+    console.error('Indexing failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
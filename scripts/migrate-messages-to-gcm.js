@@ -0,0 +1,96 @@
+/**
+ * Re-encrypts legacy AES-256-CBC messages with AES-256-GCM, in batches.
+ *
+ * Each message keeps the key version it was written under; only the
+ * algorithm changes. Safe to re-run: migrated messages are skipped, and a
+ * message that changed after it was read is left for the next run.
+ *
+ * Usage: node scripts/migrate-messages-to-gcm.js [--batch-size=500] [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const Group = require('../src/models/Group');
+const Message = require('../src/models/Message');
+const encryptionService = require('../src/services/encryptionService');
+
+const args = process.argv.slice(2);
+const batchSizeArg = args.find(arg => arg.startsWith('--batch-size='));
+const BATCH_SIZE = parseInt(batchSizeArg?.split('=')[1] || process.env.MIGRATION_BATCH_SIZE || '500', 10);
+const DRY_RUN = args.includes('--dry-run');
+
+const groupCache = new Map();
+
+const loadGroup = async (groupId) => {
+  const key = groupId.toString();
+  if (!groupCache.has(key)) {
+    groupCache.set(key, await Group.findById(groupId).select('+encryptionKey +keyHistory'));
+  }
+  return groupCache.get(key);
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  let lastId = null;
+  let migrated = 0;
+  let failed = 0;
+
+  for (;;) {
+    // e2e messages are client ciphertext and deleted ones have nothing left to migrate
+    const query = { algorithm: { $nin: [encryptionService.algorithm, 'e2e'] }, deletedAt: null };
+    if (lastId) query._id = { $gt: lastId };
+
+    const batch = await Message.find(query).sort({ _id: 1 }).limit(BATCH_SIZE).lean();
+    if (batch.length === 0) break;
+    lastId = batch[batch.length - 1]._id;
+
+    const operations = [];
+    for (const message of batch) {
+      const group = await loadGroup(message.group);
+      if (!group) {
+        console.error(`Skipping message ${message._id}: group not found`);
+        failed++;
+        continue;
+      }
+
+      try {
+        const key = await encryptionService.getGroupKey(group, message.keyVersion || 1);
+        const plaintext = await encryptionService.decryptForGroup(group, message);
+        const { encryptedData, iv, authTag, algorithm } = encryptionService.encrypt(plaintext, key, {
+          aad: encryptionService.messageAad(group._id, message._id)
+        });
+
+        operations.push({
+          updateOne: {
+            // Only overwrite the exact ciphertext that was read
+            filter: { _id: message._id, encryptedContent: message.encryptedContent },
+            update: { $set: { encryptedContent: encryptedData, iv, authTag, algorithm } }
+          }
+        });
+      } catch (error) {
+        console.error(`Skipping message ${message._id}: ${error.message}`);
+        failed++;
+      }
+    }
+
+    if (operations.length > 0 && !DRY_RUN) {
+      const result = await Message.bulkWrite(operations, { ordered: false });
+      migrated += result.modifiedCount;
+    } else {
+      migrated += operations.length;
+    }
+
+    console.log(`Processed batch ending at ${lastId} (${migrated} migrated, ${failed} failed)`);
+  }
+
+  console.log(`${DRY_RUN ? '[dry run] ' : ''}Done: ${migrated} messages migrated, ${failed} failed`);
+  if (failed > 0) process.exitCode = 1;
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
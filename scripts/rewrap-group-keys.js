@@ -0,0 +1,97 @@
+/**
+ * Re-wraps every group key (current, historical and search) under the current
+ * master key. Run it after rotating the master key: set the new key as
+ * MASTER_KEY and the old one in MASTER_KEY_PREVIOUS (or the equivalent for
+ * the configured KMS provider), run this script, then drop the old key.
+ * Keys still stored in plaintext from before envelope encryption are
+ * wrapped as well.
+ *
+ * Usage: node scripts/rewrap-group-keys.js [--batch-size=100] [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const Group = require('../src/models/Group');
+const kmsService = require('../src/services/kmsService');
+
+const args = process.argv.slice(2);
+const batchSizeArg = args.find(arg => arg.startsWith('--batch-size='));
+const BATCH_SIZE = parseInt(batchSizeArg?.split('=')[1] || process.env.MIGRATION_BATCH_SIZE || '100', 10);
+const DRY_RUN = args.includes('--dry-run');
+
+const rewrap = async (storedKey) => {
+  if (!kmsService.needsRewrap(storedKey)) return storedKey;
+  const plaintextKey = await kmsService.unwrapKey(storedKey);
+  return kmsService.wrapKey(plaintextKey);
+};
+
+const rewrapAll = async () => {
+  await connectDB();
+
+  let lastId = null;
+  let rewrapped = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (;;) {
+    const query = lastId ? { _id: { $gt: lastId } } : {};
+    const batch = await Group.find(query)
+      .select('+encryptionKey +keyHistory +searchKey keyVersion')
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+    if (batch.length === 0) break;
+    lastId = batch[batch.length - 1]._id;
+
+    for (const group of batch) {
+      const history = group.keyHistory || [];
+      const needsWork = kmsService.needsRewrap(group.encryptionKey) ||
+        history.some(entry => kmsService.needsRewrap(entry.key)) ||
+        (group.searchKey && kmsService.needsRewrap(group.searchKey));
+      if (!needsWork) continue;
+
+      try {
+        const encryptionKey = await rewrap(group.encryptionKey);
+        const keyHistory = [];
+        for (const entry of history) {
+          keyHistory.push({ ...entry, key: await rewrap(entry.key) });
+        }
+        const update = { encryptionKey, keyHistory };
+        if (group.searchKey) update.searchKey = await rewrap(group.searchKey);
+
+        if (DRY_RUN) {
+          rewrapped++;
+          continue;
+        }
+
+        // Skip groups whose key was rotated while we were working on them
+        const result = await Group.updateOne(
+          { _id: group._id, encryptionKey: group.encryptionKey },
+          { $set: update }
+        );
+
+        if (result.modifiedCount === 1) {
+          rewrapped++;
+        } else {
+          console.warn(`Group ${group._id} changed during re-wrap, run again to finish it`);
+          skipped++;
+        }
+      } catch (error) {
+        console.error(`Could not re-wrap keys for group ${group._id}: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log(`Processed batch ending at ${lastId} (${rewrapped} re-wrapped, ${skipped} skipped, ${failed} failed)`);
+  }
+
+  console.log(`${DRY_RUN ? '[dry run] ' : ''}Done: ${rewrapped} groups re-wrapped, ${skipped} skipped, ${failed} failed`);
+  if (failed > 0) process.exitCode = 1;
+};
+
+rewrapAll()
+  .catch((error) => {
+    console.error('Re-wrap failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
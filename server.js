@@ -12,6 +12,31 @@ const authRoutes = require('./src/routes/authRoutes');
 const groupRoutes = require('./src/routes/groupRoutes');
 const messageRoutes = require('./src/routes/messageRoutes');
 const userRoutes = require('./src/routes/userRoutes');
+const conversationRoutes = require('./src/routes/conversationRoutes');
+const inviteRoutes = require('./src/routes/inviteRoutes');
+const realtimeService = require('./src/services/realtimeService');
+const kmsService = require('./src/services/kmsService');
+const mailService = require('./src/services/mailService');
+
+// Group keys can't be created without a master key, so refuse to start
+// rather than fail every group creation later
+try {
+  kmsService.checkConfig();
+} catch (err) {
+  console.error('❌ KMS configuration error:', err.message);
+  console.error('   Set MASTER_KEY (32 random bytes, base64) or configure another KMS_PROVIDER.');
+  process.exit(1);
+}
+
+// Password resets and invitations need a real mail transport outside
+// development
+try {
+  mailService.checkConfig();
+} catch (err) {
+  console.error('❌ Mail configuration error:', err.message);
+  console.error('   Set MAIL_TRANSPORT to a configured transport (see README).');
+  process.exit(1);
+}
 
 const app = express();
 
@@ -98,7 +123,9 @@ const swaggerOptions = {
     './src/routes/authRoutes.js',
     './src/routes/groupRoutes.js',
     './src/routes/messageRoutes.js',
-    './src/routes/userRoutes.js'
+    './src/routes/userRoutes.js',
+    './src/routes/conversationRoutes.js',
+    './src/routes/inviteRoutes.js'
   ]
 };
 
@@ -131,6 +158,8 @@ app.use('/api/auth', authRoutes);
 app.use('/api/groups', groupRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/invites', inviteRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -160,11 +189,15 @@ mongoose
   .then(() => {
     console.log('✅ MongoDB connected');
     const PORT = process.env.PORT || 5000;
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`🚀 Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
       console.log(`📘 Swagger Docs: https://secure-group-api.onrender.com/api-docs`);
       console.log(`❤️ Health Check: https://secure-group-api.onrender.com/health`);
     });
+
+    // WebSocket endpoint for real-time message delivery
+    realtimeService.attach(server, { path: '/ws' });
+    console.log(`🔌 WebSocket endpoint: ws://localhost:${PORT}/ws`);
   })
   .catch((err) => {
     console.error('❌ MongoDB connection error:', err.message);
@@ -1,6 +1,9 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const { validationResult } = require('express-validator');
+const sessionService = require('../services/sessionService');
+const passwordResetService = require('../services/passwordResetService');
+const invitationService = require('../services/invitationService');
 
 const register = async (req, res) => {
   try {
@@ -37,17 +40,21 @@ const register = async (req, res) => {
     
     await user.save();
 
-    
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    // Registration succeeds even if a group invitation can't be redeemed
+    let joinedGroup = null;
+    try {
+      joinedGroup = await invitationService.claimForNewUser(user, req.body.invitationToken);
+    } catch (error) {
+      console.error('Could not redeem group invitations:', error);
+    }
+
+    const tokens = await sessionService.createSession(user._id, req);
 
     res.status(201).json({ 
       success: true,
-      token, 
-      userId: user._id
+      ...tokens,
+      userId: user._id,
+      ...(joinedGroup && { joinedGroup })
     });
 
   } catch (error) {
@@ -81,15 +88,11 @@ const login = async (req, res) => {
     }
 
   
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    const tokens = await sessionService.createSession(user._id, req);
 
     res.json({ 
       success: true,
-      token, 
+      ...tokens,
       userId: user._id 
     });
 
@@ -99,4 +102,156 @@ const login = async (req, res) => {
   }
 };
 
-module.exports = { register, login };
\ No newline at end of file
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const tokens = await sessionService.refreshSession(refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({ message: 'Refresh token is not valid' });
+    }
+
+    res.json({ 
+      success: true,
+      ...tokens
+    });
+
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ message: 'Token refresh failed' });
+  }
+};
+
+const logout = async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.sessionId, 'logout');
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Logout failed' });
+  }
+};
+
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user.userId, { reason: 'logout_all' });
+    res.json({ success: true, message: 'Logged out of all sessions', revokedSessions: revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Logout failed' });
+  }
+};
+
+const forgotPassword = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const normalizedEmail = req.body.email.trim().toLowerCase();
+
+    const user = await User.findOne({ email: normalizedEmail });
+    if (user) {
+      await passwordResetService.requestReset(user, req);
+    }
+
+    // Same answer whether or not the account exists, so emails can't be probed
+    res.json({ 
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Password reset request failed' });
+  }
+};
+
+const resetPassword = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { token, newPassword } = req.body;
+
+    const userId = await passwordResetService.consumeResetToken(token);
+    if (!userId) {
+      return res.status(400).json({ message: 'Reset token is invalid or has expired' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(newPassword.trim(), salt);
+    await User.findByIdAndUpdate(userId, { password: hashedPassword });
+
+    // Whoever held the old password must not stay signed in
+    await passwordResetService.invalidateResetTokens(userId);
+    await sessionService.revokeAllSessions(userId, { reason: 'password_reset' });
+
+    res.json({ 
+      success: true,
+      message: 'Password has been reset, please log in again'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Password reset failed' });
+  }
+};
+
+const changePassword = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.userId).select('+password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword.trim(), user.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword.trim(), salt);
+    await user.save();
+
+    // Keep the caller signed in, sign out every other device
+    await passwordResetService.invalidateResetTokens(user._id);
+    await sessionService.revokeAllSessions(user._id, {
+      reason: 'password_changed',
+      except: req.user.sessionId
+    });
+
+    res.json({ 
+      success: true,
+      message: 'Password changed successfully'
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Password change failed' });
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword
+};
\ No newline at end of file
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const GroupSettings = require('../models/GroupSettings');
+const User = require('../models/User');
+const blockService = require('../services/blockService');
+const readMarkerService = require('../services/readMarkerService');
+
+const directKeyFor = (userId, otherUserId) => [userId.toString(), otherUserId.toString()].sort().join(':');
+
+const serializeConversation = (conversation, userId) => ({
+  id: conversation._id,
+  kind: conversation.kind,
+  with: conversation.members.find(member => !member._id.equals(userId)),
+  encryptionMode: conversation.encryptionMode,
+  createdAt: conversation.createdAt
+});
+
+// Validates :userId as someone other than the caller who exists, or sends
+// the error response and returns null
+const loadOtherUser = async (req, res) => {
+  const { userId } = req.params;
+  if (!mongoose.isValidObjectId(userId)) {
+    res.status(400).json({ error: 'Invalid user ID' });
+    return null;
+  }
+
+  if (userId === req.user.userId.toString()) {
+    res.status(400).json({ error: 'You cannot do this with yourself' });
+    return null;
+  }
+
+  const user = await User.findById(userId).select('email');
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  return user;
+};
+
+// POST /conversations/direct/:userId
+// Returns the conversation between the caller and :userId, creating it the
+// first time. It is a two-member group: messages, encryption and
+// pagination all go through the usual /api/groups/:id/messages endpoints.
+const openDirect = async (req, res) => {
+  try {
+    const other = await loadOtherUser(req, res);
+    if (!other) return;
+
+    const me = req.user.userId;
+
+    // Same answer whoever blocked whom, so a block isn't revealed
+    if (await blockService.hasBlockBetween([me, other._id])) {
+      return res.status(403).json({ error: 'You cannot message this user' });
+    }
+
+    const directKey = directKeyFor(me, other._id);
+    let conversation = await Group.findOne({ directKey });
+    let created = false;
+
+    if (!conversation) {
+      try {
+        conversation = await new Group({
+          name: 'Direct conversation',
+          type: 'private',
+          kind: 'direct',
+          directKey,
+          encryptionMode: req.body?.encryptionMode === 'e2e' ? 'e2e' : 'server',
+          owner: me,
+          members: [me, other._id],
+          // Both participants moderate their own conversation
+          admins: [me, other._id]
+        }).save();
+        created = true;
+      } catch (error) {
+        // The other participant opened it at the same moment
+        if (error.code !== 11000) throw error;
+        conversation = await Group.findOne({ directKey });
+      }
+    }
+
+    if (created) {
+      // Hidden from discovery and closed to everyone else
+      await GroupSettings.create({ group: conversation._id, privacy: 'cloud' });
+      await User.updateMany(
+        { _id: { $in: conversation.members } },
+        { $addToSet: { joinedGroups: conversation._id } }
+      );
+    }
+
+    await conversation.populate('members', User.PUBLIC_PROFILE_FIELDS);
+
+    res.status(created ? 201 : 200).json({
+      conversation: serializeConversation(conversation, me),
+      created
+    });
+  } catch (error) {
+    console.error('Error opening direct conversation:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// GET /conversations/direct
+const listDirect = async (req, res) => {
+  try {
+    const me = req.user.userId;
+    const conversations = await Group.find({ kind: 'direct', members: me })
+      .populate('members', User.PUBLIC_PROFILE_FIELDS)
+      .sort({ createdAt: -1 });
+    const unread = await readMarkerService.unreadCounts(me, conversations.map(conversation => conversation._id));
+
+    res.json(conversations.map(conversation => ({
+      ...serializeConversation(conversation, me),
+      unreadCount: unread.get(conversation._id.toString())
+    })));
+  } catch (error) {
+    console.error('Error listing direct conversations:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// POST /conversations/direct/:userId/block, POST /users/me/blocks/:userId
+// Stops direct messages between the two users in both directions. The
+// conversation and its history are kept.
+const blockUser = async (req, res) => {
+  try {
+    const other = await loadOtherUser(req, res);
+    if (!other) return;
+
+    await blockService.block(req.user.userId, other._id);
+
+    res.json({ message: 'User blocked', userId: other._id });
+  } catch (error) {
+    console.error('Error blocking user:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// DELETE /conversations/direct/:userId/block, DELETE /users/me/blocks/:userId
+// Unblocking someone who isn't blocked is not an error
+const unblockUser = async (req, res) => {
+  try {
+    const other = await loadOtherUser(req, res);
+    if (!other) return;
+
+    await blockService.unblock(req.user.userId, other._id);
+
+    res.json({ message: 'User unblocked', userId: other._id });
+  } catch (error) {
+    console.error('Error unblocking user:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  openDirect,
+  listDirect,
+  blockUser,
+  unblockUser
+};
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const GroupMemberKey = require('../models/GroupMemberKey');
+const User = require('../models/User');
+const e2eService = require('../services/e2eService');
+const realtimeService = require('../services/realtimeService');
+
+const activePublicKeys = (user) => (user.publicKeys || []).filter(key => !key.revokedAt);
+
+const loadE2EGroup = async (req, res) => {
+  const group = await Group.findById(req.params.id);
+  if (!group) {
+    res.status(404).json({ message: 'Group not found' });
+    return null;
+  }
+
+  if (group.encryptionMode !== 'e2e') {
+    res.status(400).json({ message: 'Group is not end-to-end encrypted' });
+    return null;
+  }
+
+  if (!group.members.includes(req.user.userId)) {
+    res.status(403).json({ message: 'Not a member of this group' });
+    return null;
+  }
+
+  return group;
+};
+
+// GET /groups/:id/e2e
+const getKeyState = async (req, res) => {
+  try {
+    const group = await loadE2EGroup(req, res);
+    if (!group) return;
+
+    const members = await User.find({ _id: { $in: group.members } })
+      .select(`${User.PUBLIC_PROFILE_FIELDS} publicKeys`)
+      .lean();
+    const holders = await GroupMemberKey.distinct('user', { group: group._id, epoch: group.e2e.epoch });
+
+    res.json({
+      epoch: group.e2e.epoch,
+      rekeyRequired: group.e2e.rekeyRequired,
+      rekeyReason: group.e2e.rekeyReason,
+      members: members.map(({ publicKeys, ...profile }) => ({
+        user: User.toPublicProfile(profile),
+        publicKeys: activePublicKeys({ publicKeys }).map(key => ({
+          keyId: key.keyId,
+          publicKey: key.publicKey,
+          algorithm: key.algorithm
+        })),
+        hasCurrentKey: holders.some(id => id.equals(profile._id))
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting key state:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// PUT /groups/:id/e2e/keys
+const distributeKeys = async (req, res) => {
+  try {
+    const { epoch, keys } = req.body;
+
+    if (!Number.isInteger(epoch) || !Array.isArray(keys) || keys.length === 0) {
+      return res.status(400).json({ message: 'epoch and a non-empty keys array are required' });
+    }
+
+    const group = await loadE2EGroup(req, res);
+    if (!group) return;
+
+    const currentEpoch = group.e2e.epoch;
+    const startsNewEpoch = epoch === currentEpoch + 1;
+
+    if (!startsNewEpoch && epoch !== currentEpoch) {
+      return res.status(409).json({ message: 'Stale epoch', epoch: currentEpoch });
+    }
+
+    if (!startsNewEpoch && (currentEpoch === 0 || group.e2e.rekeyRequired)) {
+      return res.status(409).json({
+        message: 'A new key epoch must be distributed',
+        epoch: currentEpoch,
+        rekeyRequired: true
+      });
+    }
+
+    const wellFormed = keys.every(key =>
+      key && typeof key === 'object' &&
+      mongoose.isValidObjectId(key.userId) &&
+      typeof key.wrappedKey === 'string' &&
+      key.recipientKeyId
+    );
+    if (!wellFormed) {
+      return res.status(400).json({ message: 'Each key needs userId, wrappedKey and recipientKeyId' });
+    }
+
+    // Every copy has to go to a current member, for one of their registered keys
+    const recipients = await User.find({ _id: { $in: keys.map(key => key.userId) } }).select('publicKeys');
+    for (const key of keys) {
+      if (!group.members.includes(key.userId)) {
+        return res.status(400).json({ message: `User ${key.userId} is not a member of this group` });
+      }
+
+      const recipient = recipients.find(user => user._id.equals(key.userId));
+      const hasKey = recipient && activePublicKeys(recipient).some(item => item.keyId === key.recipientKeyId);
+      if (!hasKey) {
+        return res.status(400).json({ message: `Unknown public key ${key.recipientKeyId} for user ${key.userId}` });
+      }
+    }
+
+    // A new epoch replaces the key for everyone, so nobody may be left out
+    if (startsNewEpoch) {
+      const missing = group.members.filter(memberId => !keys.some(key => memberId.equals(key.userId)));
+      if (missing.length > 0) {
+        return res.status(400).json({ message: 'A new epoch must include a key for every member', missing });
+      }
+
+      const advanced = await e2eService.advanceEpoch(group._id, currentEpoch);
+      if (!advanced) {
+        return res.status(409).json({ message: 'Epoch changed, fetch the key state and retry' });
+      }
+    }
+
+    // Only missing copies are written: a member must not be able to replace
+    // the copy someone else already holds
+    const result = await GroupMemberKey.bulkWrite(keys.map(key => ({
+      updateOne: {
+        filter: { group: group._id, user: key.userId, epoch },
+        update: {
+          $setOnInsert: {
+            wrappedKey: key.wrappedKey,
+            recipientKeyId: key.recipientKeyId,
+            wrappedBy: req.user.userId,
+            createdAt: new Date()
+          }
+        },
+        upsert: true
+      }
+    })));
+
+    const skipped = keys
+      .filter((key, index) => !(index in result.upsertedIds))
+      .map(key => key.userId);
+
+    realtimeService.publishEvent(group._id, 'e2e.keys_distributed', { epoch });
+
+    res.json({ message: 'Keys distributed successfully', epoch, skipped });
+  } catch (error) {
+    console.error('Error distributing keys:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// GET /groups/:id/e2e/keys/me
+const getMyKeys = async (req, res) => {
+  try {
+    const group = await loadE2EGroup(req, res);
+    if (!group) return;
+
+    const keys = await GroupMemberKey.find({ group: group._id, user: req.user.userId })
+      .select('epoch wrappedKey recipientKeyId wrappedBy createdAt')
+      .sort({ epoch: -1 });
+
+    res.json({ epoch: group.e2e.epoch, keys });
+  } catch (error) {
+    console.error('Error getting member keys:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getKeyState,
+  distributeKeys,
+  getMyKeys
+};
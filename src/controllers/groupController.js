@@ -1,8 +1,58 @@
+const mongoose = require('mongoose');
 const Group = require('../models/Group');
+const GroupSettings = require('../models/GroupSettings');
 const JoinRequest = require('../models/JoinRequest');
+const Message = require('../models/Message');
 const User = require('../models/User');
+const realtimeService = require('../services/realtimeService');
+const encryptionService = require('../services/encryptionService');
+const e2eService = require('../services/e2eService');
+const membershipService = require('../services/membershipService');
+const banService = require('../services/banService');
+const joinRequestService = require('../services/joinRequestService');
+const pagination = require('../utils/pagination');
+const blockService = require('../services/blockService');
+const attachmentService = require('../services/attachmentService');
+const GroupMemberKey = require('../models/GroupMemberKey');
+const Reaction = require('../models/Reaction');
+const ReadMarker = require('../models/ReadMarker');
+const Invite = require('../models/Invite');
+const EmailInvitation = require('../models/EmailInvitation');
+const Ban = require('../models/Ban');
 const { validationResult } = require('express-validator');
 
+// Membership and settings of a direct conversation are fixed at its two
+// participants, so the group management endpoints don't apply to it
+const DIRECT_CONVERSATION_ERROR = 'Not available for direct conversations';
+
+// A group's public/private type follows its privacy setting
+const privacyToType = (privacy) => (privacy === 'open' ? 'public' : 'private');
+
+const typeToPrivacy = (type) => (type === 'public' ? 'open' : 'closed');
+
+const serializeSettings = (settings) => ({
+  privacy: settings.privacy,
+  allowMemberInvites: settings.allowMemberInvites,
+  announcementOnly: settings.announcementOnly,
+  waitlistEnabled: settings.waitlistEnabled,
+  attachments: attachmentService.policyFor(settings),
+});
+
+// Shared by leave, banish and remove: cut the user off from live delivery
+// and make sure they can't read anything sent from now on
+const afterMemberRemoved = async (group, userId, reason) => {
+  realtimeService.revokeSubscriptions(group._id, userId, reason);
+
+  if (group.encryptionMode === 'e2e') {
+    await e2eService.requireRekey(group._id, `member_${reason}`);
+  } else {
+    await encryptionService.rotateGroupKey(group._id, `member_${reason}`);
+  }
+
+  // The freed slot goes to whoever has waited longest
+  await membershipService.admitFromWaitlist(group._id);
+};
+
 const createGroup = async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -10,18 +60,22 @@ const createGroup = async (req, res) => {
   }
 
   try {
-    const { name, type, description, maxMembers, encryptionKey } = req.body;
+    const {
+      name, type, description, maxMembers, allowMemberInvites, announcementOnly, waitlistEnabled, encryptionMode
+    } = req.body;
+    const privacy = req.body.privacy || (type === 'public' ? 'open' : 'closed');
 
-    const existingGroup = await Group.findOne({ name });
+    const existingGroup = await Group.findOne({ name, kind: { $ne: 'direct' } });
     if (existingGroup) {
       return res.status(400).json({ message: 'Group name already exists' });
     }
 
     const group = new Group({
       name,
-      type,
+      type: privacyToType(privacy),
       description,
       maxMembers,
+      encryptionMode,
       owner: req.user.userId,
       members: [req.user.userId],
       admins: [req.user.userId],
@@ -29,6 +83,14 @@ const createGroup = async (req, res) => {
 
     await group.save();
 
+    const settings = await GroupSettings.create({
+      group: group._id,
+      privacy,
+      allowMemberInvites: allowMemberInvites === true,
+      announcementOnly: announcementOnly === true,
+      waitlistEnabled: waitlistEnabled === true,
+    });
+
     await User.findByIdAndUpdate(req.user.userId, {
       $push: { joinedGroups: group._id },
     });
@@ -41,6 +103,9 @@ const createGroup = async (req, res) => {
         type: group.type,
         description: group.description,
         owner: group.owner,
+        maxMembers: group.maxMembers,
+        encryptionMode: group.encryptionMode,
+        settings: serializeSettings(settings),
       },
     });
   } catch (error) {
@@ -56,14 +121,34 @@ const deleteGroup = async (req, res) => {
       return res.status(404).json({ message: 'Group not found' });
     }
 
+    if (group.kind === 'direct') return res.status(400).json({ message: DIRECT_CONVERSATION_ERROR });
+
     if (!group.owner.equals(req.user.userId)) {
       return res.status(403).json({ message: 'Only the owner can delete the group' });
     }
 
+    const messagesWithFiles = await Message.find({ group: group._id, 'attachments.0': { $exists: true } })
+      .select('attachments');
+    await attachmentService.removeFiles(messagesWithFiles.flatMap(message => message.attachments));
+
     await Message.deleteMany({ group: group._id });
 
     await JoinRequest.deleteMany({ group: group._id });
 
+    await GroupSettings.deleteOne({ group: group._id });
+
+    await GroupMemberKey.deleteMany({ group: group._id });
+
+    await Reaction.deleteMany({ group: group._id });
+
+    await ReadMarker.deleteMany({ group: group._id });
+
+    await Invite.deleteMany({ group: group._id });
+
+    await EmailInvitation.deleteMany({ group: group._id });
+
+    await Ban.deleteMany({ group: group._id });
+
     await Group.findByIdAndDelete(group._id);
 
     await User.updateMany(
@@ -71,6 +156,8 @@ const deleteGroup = async (req, res) => {
       { $pull: { joinedGroups: group._id } }
     );
 
+    realtimeService.closeGroup(group._id, 'deleted');
+
     res.status(200).json({ message: 'Group deleted successfully' });
   } catch (error) {
     console.error('Error deleting group:', error);
@@ -84,20 +171,35 @@ const deleteGroup = async (req, res) => {
 const discoverGroups = async (req, res) => {
   try {
     const { search } = req.query;
-    const query = { type: 'public' };
+
+    // Cloud groups are never listed; open and closed groups are
+    const hiddenGroupIds = await GroupSettings.distinct('group', { privacy: 'cloud' });
+    const query = { _id: { $nin: hiddenGroupIds }, kind: { $ne: 'direct' } };
 
     if (search) {
       query.name = { $regex: search, $options: 'i' };
     }
 
+    // Anyone can call this, so only the public listing fields leave the server
     const groups = await Group.find(query)
-      .select('-members -admins -encryptionKey -__v')
+      .select('name description type members createdAt')
       .limit(20)
       .lean();
 
+    const settingsList = await GroupSettings.find({
+      group: { $in: groups.map(group => group._id) },
+    }).lean();
+    const privacyByGroup = new Map(
+      settingsList.map(settings => [settings.group.toString(), settings.privacy])
+    );
+
     const groupsWithCount = groups.map(group => ({
-      ...group,
+      _id: group._id,
+      name: group.name,
+      description: group.description,
+      privacy: privacyByGroup.get(group._id.toString()) || typeToPrivacy(group.type),
       memberCount: group.members?.length || 0,
+      createdAt: group.createdAt,
     }));
 
     res.json(groupsWithCount);
@@ -107,48 +209,61 @@ const discoverGroups = async (req, res) => {
   }
 };
 
+// A full group either turns the user away or, with the waitlist on, queues them
+const sendFull = async (res, group, userId, settings) => {
+  if (!settings.waitlistEnabled) {
+    return res.status(400).json({ message: 'Group is full' });
+  }
+
+  const position = await membershipService.joinWaitlist(group, userId);
+  return res.status(202).json({ message: 'Group is full, added to the waitlist', waitlistPosition: position });
+};
+
 const joinGroup = async (req, res) => {
   try {
     const group = await Group.findById(req.params.id);
     if (!group) return res.status(404).json({ message: 'Group not found' });
 
+    if (group.kind === 'direct') return res.status(400).json({ message: DIRECT_CONVERSATION_ERROR });
+
     if (group.members.includes(req.user.userId)) {
       return res.status(400).json({ message: 'Already a member of this group' });
     }
 
-    if (group.members.length >= group.maxMembers) {
-      return res.status(400).json({ message: 'Group is full' });
+    const ban = await banService.activeBan(group._id, req.user.userId);
+    if (ban) return res.status(403).json(banService.describe(ban));
+
+    const settings = await GroupSettings.forGroup(group);
+
+    if (settings.privacy === 'cloud') {
+      return res.status(403).json({ message: 'This group can only be joined by invitation' });
     }
 
-    if (group.type === 'public') {
-      group.members.push(req.user.userId);
-      await group.save();
+    if (settings.privacy === 'open') {
+      // Nobody skips the queue while people are waiting
+      const queued = settings.waitlistEnabled &&
+        await Group.exists({ _id: group._id, 'waitlist.0': { $exists: true } });
+      const { added, reason } = queued
+        ? { added: false, reason: 'full' }
+        : await membershipService.addMember(group, req.user.userId);
 
-      await User.findByIdAndUpdate(req.user.userId, {
-        $push: { joinedGroups: group._id },
-      });
+      if (added) return res.json({ message: 'Successfully joined the group' });
+      if (reason === 'member') return res.status(400).json({ message: 'Already a member of this group' });
+      if (reason === 'banned') return res.status(403).json({ message: banService.BANNED_MESSAGE });
 
-      return res.json({ message: 'Successfully joined the group' });
+      return sendFull(res, group, req.user.userId, settings);
     }
 
-    const existingRequest = await JoinRequest.findOne({
-      group: group._id,
-      user: req.user.userId,
-    });
+    if (group.members.length >= group.maxMembers && !settings.waitlistEnabled) {
+      return res.status(400).json({ message: 'Group is full' });
+    }
 
-    if (existingRequest) {
+    const request = await joinRequestService.submit(group._id, req.user.userId, req.body?.message);
+    if (!request) {
       return res.status(400).json({ message: 'Join request already sent' });
     }
 
-    const request = new JoinRequest({
-      group: group._id,
-      user: req.user.userId,
-      status: 'pending',
-    });
-
-    await request.save();
-
-    res.json({ message: 'Join request sent successfully' });
+    res.json({ message: 'Join request sent successfully', request });
   } catch (error) {
     console.error('Error joining group:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -159,42 +274,60 @@ const getGroupDetails = async (req, res) => {
   try {
     const group = await Group.findById(req.params.id)
       .select('-encryptionKey -__v')
-      .populate('owner', 'email firstName lastName')
-      .populate('admins', 'email firstName lastName')
+      .populate('owner', User.PUBLIC_PROFILE_FIELDS)
+      .populate('admins', User.PUBLIC_PROFILE_FIELDS)
       .lean();
 
     if (!group) return res.status(404).json({ message: 'Group not found' });
 
-    if (
-      group.type === 'private' &&
-      !group.members.includes(req.user.userId) &&
-      !group.admins.includes(req.user.userId) &&
-      !group.owner.equals(req.user.userId)
-    ) {
-      return res.status(403).json({ message: 'Not authorized to view this group' });
-    }
+    const settings = await GroupSettings.forGroup(group);
 
-    const isMember = group.members.includes(req.user.userId);
-    const isAdmin = group.admins.includes(req.user.userId);
+    const isMember = group.members.some(id => id.equals(req.user.userId));
+    const isAdmin = group.admins.some(admin => admin._id.equals(req.user.userId));
     const isOwner = group.owner._id.equals(req.user.userId);
 
-    let joinRequestStatus = null;
-    if (!isMember && group.type === 'private') {
-      const request = await JoinRequest.findOne({
-        group: group._id,
-        user: req.user.userId,
+    // Cloud groups are invisible to anyone outside them
+    if (settings.privacy === 'cloud' && !isMember) {
+      return res.status(403).json({ message: 'Not authorized to view this group' });
+    }
+
+    // Outsiders get the same fields discovery shows, plus where their own
+    // join request stands
+    if (!isMember) {
+      let joinRequestStatus = null;
+      if (settings.privacy === 'closed') {
+        await joinRequestService.expireStale({ group: group._id, user: req.user.userId });
+        const request = await JoinRequest.findOne({
+          group: group._id,
+          user: req.user.userId,
+        }).sort({ createdAt: -1 });
+        joinRequestStatus = request?.status || null;
+      }
+
+      return res.json({
+        _id: group._id,
+        name: group.name,
+        description: group.description,
+        settings: { privacy: settings.privacy },
+        memberCount: group.members.length,
+        createdAt: group.createdAt,
+        userRole: 'none',
+        joinRequestStatus,
       });
-      joinRequestStatus = request?.status;
     }
 
     res.json({
       ...group,
+      // Lean documents skip the User toJSON transform
+      owner: User.toPublicProfile(group.owner),
+      admins: group.admins.map(User.toPublicProfile),
+      settings: serializeSettings(settings),
       memberCount: group.members.length,
-      userRole: isOwner ? 'owner' : isAdmin ? 'admin' : isMember ? 'member' : 'none',
-      joinRequestStatus,
+      userRole: isOwner ? 'owner' : isAdmin ? 'admin' : 'member',
+      joinRequestStatus: null,
       permissions: {
-        canPost: isMember,
-        canInvite: isOwner || isAdmin || group.allowMemberInvites,
+        canPost: !settings.announcementOnly || isOwner || isAdmin,
+        canInvite: isOwner || isAdmin || settings.allowMemberInvites,
         canManage: isOwner || isAdmin,
       },
     });
@@ -207,9 +340,9 @@ const getGroupDetails = async (req, res) => {
 const listMembers = async (req, res) => {
   try {
     const group = await Group.findById(req.params.id)
-      .populate('members', 'email firstName lastName')
-      .populate('admins', 'email firstName lastName')
-      .populate('owner', 'email firstName lastName');
+      .populate('members', User.PUBLIC_PROFILE_FIELDS)
+      .populate('admins', User.PUBLIC_PROFILE_FIELDS)
+      .populate('owner', User.PUBLIC_PROFILE_FIELDS);
 
     if (!group) return res.status(404).json({ message: 'Group not found' });
 
@@ -217,7 +350,9 @@ const listMembers = async (req, res) => {
       member._id.equals(req.user.userId)
     );
 
-    if (!isMember && group.type === 'private') {
+    // Only open groups show their members to outsiders
+    const settings = await GroupSettings.forGroup(group);
+    if (!isMember && settings.privacy !== 'open') {
       return res.status(403).json({ message: 'Not authorized to view members' });
     }
 
@@ -238,6 +373,8 @@ const leaveGroup = async (req, res) => {
     const group = await Group.findById(req.params.id);
     if (!group) return res.status(404).json({ message: 'Group not found' });
 
+    if (group.kind === 'direct') return res.status(400).json({ message: DIRECT_CONVERSATION_ERROR });
+
     if (!group.members.includes(req.user.userId)) {
       return res.status(400).json({ message: 'Not a member of this group' });
     }
@@ -256,6 +393,8 @@ const leaveGroup = async (req, res) => {
       $pull: { joinedGroups: group._id },
     });
 
+    await afterMemberRemoved(group, req.user.userId, 'left');
+
     res.json({ message: 'Successfully left the group' });
   } catch (error) {
     console.error('Error leaving group:', error);
@@ -269,6 +408,8 @@ const transferOwnership = async (req, res) => {
     const group = await Group.findById(req.params.id);
     if (!group) return res.status(404).json({ message: 'Group not found' });
 
+    if (group.kind === 'direct') return res.status(400).json({ message: DIRECT_CONVERSATION_ERROR });
+
     if (!group.owner.equals(req.user.userId)) {
       return res.status(403).json({ message: 'Only group owner can transfer ownership' });
     }
@@ -292,7 +433,7 @@ const transferOwnership = async (req, res) => {
       newOwner: {
         id: newOwner._id,
         email: newOwner.email,
-        name: `${newOwner.firstName} ${newOwner.lastName}`,
+        name: newOwner.getDisplayName(),
       },
     });
   } catch (error) {
@@ -307,6 +448,8 @@ const updateMemberRole = async (req, res) => {
     const group = await Group.findById(req.params.id);
     if (!group) return res.status(404).json({ message: 'Group not found' });
 
+    if (group.kind === 'direct') return res.status(400).json({ message: DIRECT_CONVERSATION_ERROR });
+
     const isOwner = group.owner.equals(req.user.userId);
     const isAdmin = group.admins.includes(req.user.userId);
 
@@ -356,42 +499,80 @@ const requestJoinPrivateGroup = async (req, res) => {
     const group = await Group.findById(req.params.id);
     if (!group) return res.status(404).json({ message: 'Group not found' });
 
-    if (group.type !== 'private') {
-      return res.status(400).json({ message: 'This group is not private' });
+    if (group.kind === 'direct') return res.status(400).json({ message: DIRECT_CONVERSATION_ERROR });
+
+    const settings = await GroupSettings.forGroup(group);
+
+    if (settings.privacy === 'open') {
+      return res.status(400).json({ message: 'This group is open, join it directly' });
+    }
+
+    if (settings.privacy === 'cloud') {
+      return res.status(403).json({ message: 'This group can only be joined by invitation' });
     }
 
     if (group.members.includes(req.user.userId)) {
       return res.status(400).json({ message: 'Already a member of this group' });
     }
 
-    const existingRequest = await JoinRequest.findOne({
-      group: group._id,
-      user: req.user.userId,
-      status: 'pending'
-    });
+    const ban = await banService.activeBan(group._id, req.user.userId);
+    if (ban) return res.status(403).json(banService.describe(ban));
 
-    if (existingRequest) {
+    const request = await joinRequestService.submit(group._id, req.user.userId, req.body?.message);
+    if (!request) {
       return res.status(400).json({ message: 'Join request already pending' });
     }
 
-    const request = new JoinRequest({
-      group: group._id,
-      user: req.user.userId,
-      status: 'pending'
-    });
-
-    await request.save();
-    res.status(200).json({ message: 'Join request submitted' });
+    res.status(200).json({ message: 'Join request submitted', request });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
+// Approves one pending request on behalf of reviewerId. When the group is
+// full the request is only approved if the waitlist is on, and the user
+// then waits for a slot. Returns { outcome } with outcome 'approved',
+// 'waitlisted' (plus waitlistPosition), 'banned' (the request is rejected)
+// or 'full' (left pending).
+const approveRequest = async (group, settings, request, { reviewerId, reason }) => {
+  const { added, reason: failure } = await membershipService.addMember(group, request.user);
+  const review = { reviewedBy: reviewerId, reviewReason: reason, processedAt: new Date() };
+
+  if (failure === 'banned') {
+    request.set({ status: 'rejected', ...review });
+    await request.save();
+    return { outcome: 'banned' };
+  }
+
+  if (!added && failure === 'full' && !settings.waitlistEnabled) {
+    return { outcome: 'full' };
+  }
+
+  request.set({ status: 'approved', ...review });
+  await request.save();
+
+  if (!added && failure === 'full') {
+    const waitlistPosition = await membershipService.joinWaitlist(group, request.user);
+    return { outcome: 'waitlisted', waitlistPosition };
+  }
+
+  return { outcome: 'approved' };
+};
+
 const approveJoinRequest = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     const group = await Group.findById(req.params.id);
     if (!group) return res.status(404).json({ message: 'Group not found' });
 
+    if (group.kind === 'direct') return res.status(400).json({ message: DIRECT_CONVERSATION_ERROR });
+
+    await joinRequestService.expireStale({ group: group._id, user: req.params.userId });
+
     const request = await JoinRequest.findOne({
       group: group._id,
       user: req.params.userId,
@@ -400,25 +581,36 @@ const approveJoinRequest = async (req, res) => {
 
     if (!request) return res.status(404).json({ message: 'Request not found' });
 
-    if (!group.members.includes(req.params.userId)) {
-      group.members.push(req.params.userId);
-      await group.save();
-    }
-
-    request.status = 'approved';
-    await request.save();
-
-    await User.findByIdAndUpdate(req.params.userId, {
-      $push: { joinedGroups: group._id }
+    const settings = await GroupSettings.forGroup(group);
+    const { outcome, waitlistPosition } = await approveRequest(group, settings, request, {
+      reviewerId: req.user.userId,
+      reason: req.body?.reason
     });
 
-    res.status(200).json({ message: 'Join request approved' });
+    switch (outcome) {
+      case 'banned':
+        return res.status(403).json({ message: 'User is banned from this group' });
+      case 'full':
+        return res.status(400).json({ message: 'Group is full' });
+      case 'waitlisted':
+        return res.status(202).json({
+          message: 'Join request approved but the group is full, added to the waitlist',
+          waitlistPosition
+        });
+      default:
+        res.status(200).json({ message: 'Join request approved' });
+    }
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
 const declineJoinRequest = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     const request = await JoinRequest.findOneAndUpdate(
       {
@@ -426,7 +618,12 @@ const declineJoinRequest = async (req, res) => {
         user: req.params.userId,
         status: 'pending'
       },
-      { status: 'rejected' },
+      {
+        status: 'rejected',
+        reviewedBy: req.user.userId,
+        reviewReason: req.body?.reason,
+        processedAt: new Date()
+      },
       { new: true }
     );
 
@@ -437,138 +634,321 @@ const declineJoinRequest = async (req, res) => {
   }
 };
 
-const banishUser = async (req, res) => {
+// GET /groups/:id/join-requests
+// Oldest first, so the queue reads in the order people asked; cursor
+// paginated like the message list
+const listJoinRequests = async (req, res) => {
+  try {
+    const { status = 'pending', before, after } = req.query;
+    if (!JoinRequest.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({ message: 'Invalid status' });
+    }
+
+    const options = {
+      limit: pagination.parseLimit(req.query.limit),
+      populate: ['user', User.PUBLIC_PROFILE_FIELDS]
+    };
+    if (before && after) {
+      return res.status(400).json({ message: 'Use only one of before or after' });
+    }
+    if (before || after) {
+      const cursor = pagination.decodeCursor(before || after);
+      if (!cursor) return res.status(400).json({ message: 'Invalid cursor' });
+      options[before ? 'before' : 'after'] = cursor;
+    }
+
+    await joinRequestService.expireStale({ group: req.params.id });
+
+    const page = await pagination.paginate(JoinRequest, { group: req.params.id, status }, options);
+
+    res.json({
+      requests: page.items,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+    });
+  } catch (error) {
+    console.error('Error listing join requests:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// POST /groups/:id/join-requests/bulk
+// Reviews several requests at once; each user gets their own result
+const reviewJoinRequests = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
+    const { action, userIds, reason } = req.body;
+
     const group = await Group.findById(req.params.id);
     if (!group) return res.status(404).json({ message: 'Group not found' });
 
-    if (group.owner.equals(req.params.userId)) {
-      return res.status(400).json({ message: 'Cannot banish group owner' });
-    }
+    if (group.kind === 'direct') return res.status(400).json({ message: DIRECT_CONVERSATION_ERROR });
 
-    group.members.pull(req.params.userId);
-    group.admins.pull(req.params.userId);
-    await group.save();
+    await joinRequestService.expireStale({ group: group._id });
 
-    await User.findByIdAndUpdate(req.params.userId, {
-      $pull: { joinedGroups: group._id }
+    const requests = await JoinRequest.find({
+      group: group._id,
+      user: { $in: userIds },
+      status: 'pending'
     });
+    const requestsByUser = new Map(requests.map(request => [request.user.toString(), request]));
+    const settings = await GroupSettings.forGroup(group);
+
+    // One at a time: each approval may take the last free slot
+    const results = [];
+    for (const userId of new Set(userIds)) {
+      const request = requestsByUser.get(userId);
+      if (!request) {
+        results.push({ userId, result: 'not_found' });
+      } else if (action === 'approve') {
+        const { outcome, waitlistPosition } = await approveRequest(group, settings, request, {
+          reviewerId: req.user.userId,
+          reason
+        });
+        results.push({ userId, result: outcome, waitlistPosition });
+      } else {
+        request.set({
+          status: 'rejected',
+          reviewedBy: req.user.userId,
+          reviewReason: reason,
+          processedAt: new Date()
+        });
+        await request.save();
+        results.push({ userId, result: 'declined' });
+      }
+    }
 
-    res.status(200).json({ message: 'User banished successfully' });
+    res.json({ message: 'Join requests reviewed', results });
   } catch (error) {
+    console.error('Error reviewing join requests:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
-const updateSettings = async (req, res) => {
-  return res.status(501).json({ message: 'updateSettings not implemented yet.' });
+// GET /users/me/join-requests
+const getMyJoinRequests = async (req, res) => {
+  try {
+    await joinRequestService.expireStale({ user: req.user.userId });
+
+    const query = { user: req.user.userId };
+    if (req.query.status) query.status = req.query.status;
+
+    const requests = await JoinRequest.find(query)
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate('group', 'name description type')
+      .populate('reviewedBy', User.PUBLIC_PROFILE_FIELDS);
+
+    res.json(requests);
+  } catch (error) {
+    console.error('Error getting join requests:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
 };
 
-// SEND MESSAGE TO GROUP
-const sendMessage = async (req, res) => {
+// DELETE /users/me/join-requests/:requestId
+const cancelJoinRequest = async (req, res) => {
   try {
-    const { content } = req.body;
-    const groupId = req.params.id;
-    const userId = req.user.userId;
-
-    // Validate input
-    if (!content || typeof content !== 'string' || content.trim() === '') {
-      return res.status(400).json({ message: 'Message content is required' });
+    if (!mongoose.isValidObjectId(req.params.requestId)) {
+      return res.status(404).json({ message: 'No pending request with this id' });
     }
 
-    // Check if user is a member of the group
-    const group = await Group.findById(groupId);
-    if (!group) {
-      return res.status(404).json({ message: 'Group not found' });
+    const request = await JoinRequest.findOneAndUpdate(
+      { _id: req.params.requestId, user: req.user.userId, status: 'pending' },
+      { status: 'cancelled', processedAt: new Date() },
+      { new: true }
+    );
+    if (!request) return res.status(404).json({ message: 'No pending request with this id' });
+
+    res.json({ message: 'Join request cancelled', request });
+  } catch (error) {
+    console.error('Error cancelling join request:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Removes the user if they are a member and bans them, so they can't join,
+// request to join or use an invite until the ban expires or is lifted.
+// Users who aren't members yet can be banned too.
+const banishUser = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group) return res.status(404).json({ message: 'Group not found' });
+
+    if (group.kind === 'direct') return res.status(400).json({ message: DIRECT_CONVERSATION_ERROR });
+
+    if (group.owner.equals(req.params.userId)) {
+      return res.status(400).json({ message: 'Cannot banish group owner' });
     }
 
-    if (!group.members.includes(userId)) {
-      return res.status(403).json({ message: 'You are not a member of this group' });
+    if (!await User.exists({ _id: req.params.userId })) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    // Create and save the message
-    const message = new Message({
-      content: content.trim(),
-      sender: userId,
-      group: groupId,
+    const ban = await banService.ban(group._id, req.params.userId, {
+      bannedBy: req.user.userId,
+      reason: req.body?.reason,
+      expiresAt: req.body?.expiresAt
     });
 
-    await message.save();
+    if (group.members.includes(req.params.userId)) {
+      group.members.pull(req.params.userId);
+      group.admins.pull(req.params.userId);
+      await group.save();
 
-    // Populate sender info for response
-    const populatedMessage = await Message.populate(message, {
-      path: 'sender',
-      select: 'firstName lastName email',
-    });
+      await User.findByIdAndUpdate(req.params.userId, {
+        $pull: { joinedGroups: group._id }
+      });
 
-    res.status(201).json({
-      message: 'Message sent successfully',
-      data: populatedMessage,
-    });
+      await afterMemberRemoved(group, req.params.userId, 'banished');
+    }
+
+    res.status(200).json({ message: 'User banished successfully', ban });
   } catch (error) {
-    console.error('Error sending message:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
-// GET GROUP MESSAGES
-const getMessages = async (req, res) => {
+const updateSettings = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const groupId = req.params.id;
-    const userId = req.user.userId;
-    const { limit = 50, before } = req.query;
+    const {
+      name, description, privacy, allowMemberInvites, announcementOnly, waitlistEnabled, maxMembers, attachments
+    } = req.body;
 
-    // Check if user is a member of the group
-    const group = await Group.findById(groupId);
-    if (!group) {
-      return res.status(404).json({ message: 'Group not found' });
+    const group = await Group.findById(req.params.id);
+    if (!group) return res.status(404).json({ message: 'Group not found' });
+
+    if (group.kind === 'direct') return res.status(400).json({ message: DIRECT_CONVERSATION_ERROR });
+
+    const settings = await GroupSettings.forGroup(group);
+
+    if (name !== undefined && name !== group.name) {
+      const existingGroup = await Group.findOne({ name, kind: { $ne: 'direct' }, _id: { $ne: group._id } });
+      if (existingGroup) {
+        return res.status(400).json({ message: 'Group name already exists' });
+      }
+      group.name = name;
     }
 
-    if (!group.members.includes(userId)) {
-      return res.status(403).json({ message: 'You are not a member of this group' });
+    if (description !== undefined) group.description = description;
+
+    if (privacy !== undefined) {
+      settings.privacy = privacy;
+      group.type = privacyToType(privacy);
     }
 
-    const query = { group: groupId };
-    if (before) {
-      query.createdAt = { $lt: new Date(before) };
+    if (allowMemberInvites !== undefined) settings.allowMemberInvites = allowMemberInvites;
+
+    if (announcementOnly !== undefined) settings.announcementOnly = announcementOnly;
+
+    if (maxMembers !== undefined) {
+      if (maxMembers < group.members.length) {
+        return res.status(400).json({ message: 'maxMembers cannot be lower than the current member count' });
+      }
+      group.maxMembers = maxMembers;
     }
 
-    const messages = await Message.find(query)
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .populate('sender', 'firstName lastName email')
-      .lean();
+    if (waitlistEnabled !== undefined) settings.waitlistEnabled = waitlistEnabled;
+
+    // null resets a limit to the server default
+    if (attachments) {
+      if (attachments.maxBytes !== undefined) {
+        settings.set('attachments.maxBytes', attachments.maxBytes ?? undefined);
+      }
+      if (attachments.allowedTypes !== undefined) {
+        settings.set('attachments.allowedTypes', attachments.allowedTypes
+          ? attachments.allowedTypes.map(type => type.toLowerCase())
+          : undefined);
+      }
+    }
 
-    res.status(200).json({
-      message: 'Messages retrieved successfully',
-      data: messages.reverse(), 
-      count: messages.length,
+    await group.save();
+    await settings.save();
+
+    // Turning the waitlist off lets everyone waiting go; a higher limit may
+    // have room for some of them
+    if (!settings.waitlistEnabled) {
+      await Group.updateOne({ _id: group._id }, { $set: { waitlist: [] } });
+    } else if (maxMembers !== undefined) {
+      await membershipService.admitFromWaitlist(group._id);
+    }
+
+    res.json({
+      message: 'Settings updated successfully',
+      group: {
+        id: group._id,
+        name: group.name,
+        type: group.type,
+        description: group.description,
+        owner: group.owner,
+        maxMembers: group.maxMembers,
+        settings: serializeSettings(settings),
+      },
     });
   } catch (error) {
-    console.error('Error getting messages:', error);
+    console.error('Error updating settings:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
+const rotateKey = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group) return res.status(404).json({ message: 'Group not found' });
+
+    // The server doesn't hold e2e keys; the best it can do is demand a new epoch
+    if (group.encryptionMode === 'e2e') {
+      await e2eService.requireRekey(group._id, 'manual');
+      return res.status(200).json({ message: 'Members must distribute a new group key', rekeyRequired: true });
+    }
+
+    const keyVersion = await encryptionService.rotateGroupKey(group._id, 'manual');
 
-// POST /groups/:groupId/members/:userId
+    res.status(200).json({ message: 'Group key rotated successfully', keyVersion });
+  } catch (error) {
+    console.error('Error rotating group key:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// POST /groups/:id/members/:userId
 const addMemberToGroup = async (req, res) => {
   try {
-    const { groupId, userId } = req.params;
+    const { id: groupId, userId } = req.params;
     const requestingUserId = req.user.userId; // from JWT middleware
 
     // Find group and user
     const group = await Group.findById(groupId);
     if (!group) return res.status(404).json({ message: 'Group not found' });
 
+    if (group.kind === 'direct') return res.status(400).json({ message: DIRECT_CONVERSATION_ERROR });
+
     const userToAdd = await User.findById(userId);
     if (!userToAdd) return res.status(404).json({ message: 'User not found' });
 
-    // Check if requester is owner or admin
+    // Owners and admins can always add members; ordinary members only when the group allows it
     const isOwner = group.owner.equals(requestingUserId);
     const isAdmin = group.admins.includes(requestingUserId);
+    const isMember = group.members.includes(requestingUserId);
     if (!isOwner && !isAdmin) {
-      return res.status(401).json({ message: 'Unauthorized: only owner or admin can add members' });
+      const settings = await GroupSettings.forGroup(group);
+      if (!isMember || !settings.allowMemberInvites) {
+        return res.status(403).json({ message: 'Not authorized to add members to this group' });
+      }
     }
 
     // Check if user already member
@@ -576,17 +956,21 @@ const addMemberToGroup = async (req, res) => {
       return res.status(400).json({ message: 'User already a member of the group' });
     }
 
-    // Check max members limit if you want (optional)
-    if (group.maxMembers && group.members.length >= group.maxMembers) {
-      return res.status(400).json({ message: 'Group member limit reached' });
+    // Nobody can be pulled into a group by someone they blocked (or who
+    // blocked them); the response doesn't say which way round it is
+    if (await blockService.hasBlockBetween([requestingUserId, userToAdd._id])) {
+      return res.status(403).json({ message: 'You cannot add this user' });
     }
 
-    // Add member to group and update user joinedGroups
-    group.members.push(userId);
-    await group.save();
-
-    userToAdd.joinedGroups.push(group._id);
-    await userToAdd.save();
+    const { added, reason } = await membershipService.addMember(group, userToAdd._id);
+    if (reason === 'banned') {
+      return res.status(403).json({ message: 'User is banned from this group' });
+    }
+    if (!added) {
+      return res.status(400).json({
+        message: reason === 'full' ? 'Group member limit reached' : 'User already a member of the group'
+      });
+    }
 
     return res.status(200).json({ message: 'Member added to group successfully' });
   } catch (error) {
@@ -595,15 +979,17 @@ const addMemberToGroup = async (req, res) => {
   }
 };
 
-// DELETE /groups/:groupId/members/:userId
+// DELETE /groups/:id/members/:userId
 const removeMember = async (req, res) => {
   try {
     const groupId = req.params.id;
-    const memberId = req.params.memberId;
+    const memberId = req.params.userId;
 
     const group = await Group.findById(groupId);
     if (!group) return res.status(404).json({ message: 'Group not found' });
 
+    if (group.kind === 'direct') return res.status(400).json({ message: DIRECT_CONVERSATION_ERROR });
+
     const isOwner = group.owner.equals(req.user.userId);
     const isAdmin = group.admins.includes(req.user.userId);
 
@@ -628,6 +1014,8 @@ const removeMember = async (req, res) => {
       $pull: { joinedGroups: group._id }
     });
 
+    await afterMemberRemoved(group, memberId, 'removed');
+
     res.status(200).json({ message: 'Member removed successfully' });
   } catch (error) {
     console.error('Error removing member:', error);
@@ -635,6 +1023,155 @@ const removeMember = async (req, res) => {
   }
 };
 
+// GET /groups/:id/bans
+// Bans in force by default; ?status=all includes expired and lifted ones
+const listBans = async (req, res) => {
+  try {
+    const query = req.query.status === 'all'
+      ? { group: req.params.id }
+      : Ban.activeQuery({ group: req.params.id });
+    if (req.query.appeal) query['appeal.status'] = req.query.appeal;
+
+    const bans = await Ban.find(query)
+      .sort({ createdAt: -1 })
+      .populate('user', User.PUBLIC_PROFILE_FIELDS)
+      .populate('bannedBy', User.PUBLIC_PROFILE_FIELDS);
+
+    res.json(bans);
+  } catch (error) {
+    console.error('Error listing bans:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// DELETE /groups/:id/bans/:userId
+const unbanUser = async (req, res) => {
+  try {
+    const ban = await banService.lift(req.params.id, req.params.userId, req.user.userId);
+    if (!ban) return res.status(404).json({ message: 'User is not banned' });
+
+    res.json({ message: 'User unbanned', ban });
+  } catch (error) {
+    console.error('Error unbanning user:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// GET /groups/:id/bans/me
+const getMyBan = async (req, res) => {
+  try {
+    const ban = await banService.activeBan(req.params.id, req.user.userId);
+    if (!ban) return res.status(404).json({ message: 'You are not banned from this group' });
+
+    res.json({
+      reason: ban.reason,
+      bannedAt: ban.createdAt,
+      bannedUntil: ban.expiresAt || null,
+      appeal: ban.appeal?.status ? ban.appeal : null,
+    });
+  } catch (error) {
+    console.error('Error getting ban:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// POST /groups/:id/bans/me/appeal
+const appealBan = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const ban = await banService.activeBan(req.params.id, req.user.userId);
+    if (!ban) return res.status(404).json({ message: 'You are not banned from this group' });
+
+    // Only one appeal per ban; the condition makes that hold under concurrency
+    const updated = await Ban.findOneAndUpdate(
+      { _id: ban._id, 'appeal.status': null },
+      { appeal: { message: req.body.message, submittedAt: new Date(), status: 'pending' } },
+      { new: true, runValidators: true }
+    );
+    if (!updated) return res.status(409).json({ message: 'This ban has already been appealed' });
+
+    res.status(201).json({ message: 'Appeal submitted', appeal: updated.appeal });
+  } catch (error) {
+    console.error('Error appealing ban:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// POST /groups/:id/bans/:userId/appeal/:decision
+// Accepting an appeal lifts the ban; rejecting it leaves the ban in force
+const reviewAppeal = async (req, res) => {
+  try {
+    const { decision } = req.params;
+    if (!['accept', 'reject'].includes(decision)) {
+      return res.status(400).json({ message: 'Decision must be accept or reject' });
+    }
+
+    const now = new Date();
+    const update = {
+      'appeal.status': decision === 'accept' ? 'accepted' : 'rejected',
+      'appeal.reviewedBy': req.user.userId,
+      'appeal.reviewedAt': now,
+      'appeal.response': req.body?.response,
+    };
+    if (decision === 'accept') {
+      update.liftedAt = now;
+      update.liftedBy = req.user.userId;
+    }
+
+    const ban = await Ban.findOneAndUpdate(
+      Ban.activeQuery({ group: req.params.id, user: req.params.userId, 'appeal.status': 'pending' }),
+      update,
+      { new: true, runValidators: true }
+    );
+    if (!ban) return res.status(404).json({ message: 'No pending appeal for this user' });
+
+    res.json({ message: `Appeal ${ban.appeal.status}`, ban });
+  } catch (error) {
+    console.error('Error reviewing appeal:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// GET /groups/:id/waitlist
+const getWaitlist = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id)
+      .select('waitlist maxMembers members')
+      .populate('waitlist.user', User.PUBLIC_PROFILE_FIELDS);
+    if (!group) return res.status(404).json({ message: 'Group not found' });
+
+    res.json({
+      maxMembers: group.maxMembers,
+      memberCount: group.members.length,
+      waitlist: group.waitlist.map((entry, index) => ({
+        position: index + 1,
+        user: entry.user,
+        addedAt: entry.addedAt,
+      })),
+    });
+  } catch (error) {
+    console.error('Error getting waitlist:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// DELETE /groups/:id/waitlist
+const leaveWaitlist = async (req, res) => {
+  try {
+    const left = await membershipService.leaveWaitlist(req.params.id, req.user.userId);
+    if (!left) return res.status(404).json({ message: 'Not on the waitlist' });
+
+    res.json({ message: 'Left the waitlist' });
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 // EXPORT
 module.exports = {
   createGroup,
@@ -646,13 +1183,23 @@ module.exports = {
   transferOwnership,
   updateMemberRole,
   updateSettings,
+  rotateKey,
   requestJoinPrivateGroup,
   approveJoinRequest,
   declineJoinRequest,
+  listJoinRequests,
+  reviewJoinRequests,
+  getMyJoinRequests,
+  cancelJoinRequest,
   banishUser,
-  sendMessage,
-  getMessages,
   deleteGroup,
   addMemberToGroup, 
   removeMember, 
+  getWaitlist,
+  leaveWaitlist,
+  listBans,
+  unbanUser,
+  getMyBan,
+  appealBan,
+  reviewAppeal,
 };
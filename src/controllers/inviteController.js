@@ -0,0 +1,458 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Group = require('../models/Group');
+const GroupSettings = require('../models/GroupSettings');
+const Invite = require('../models/Invite');
+const EmailInvitation = require('../models/EmailInvitation');
+const JoinRequest = require('../models/JoinRequest');
+const User = require('../models/User');
+const blockService = require('../services/blockService');
+const membershipService = require('../services/membershipService');
+const invitationService = require('../services/invitationService');
+const banService = require('../services/banService');
+
+const inviteUrl = (code) => `${process.env.APP_URL || 'http://localhost:3000'}/invite/${code}`;
+
+const serializeInvite = (invite) => ({
+  id: invite._id,
+  code: invite.code,
+  url: inviteUrl(invite.code),
+  role: invite.role,
+  expiresAt: invite.expiresAt,
+  maxUses: invite.maxUses,
+  uses: invite.uses,
+  active: invite.isUsable(),
+  createdBy: invite.createdBy,
+  createdAt: invite.createdAt,
+  revokedAt: invite.revokedAt,
+  acceptances: invite.acceptances
+});
+
+const serializeInvitation = (invitation) => ({
+  id: invitation._id,
+  group: invitation.group,
+  email: invitation.email,
+  invitedBy: invitation.invitedBy,
+  status: invitation.status === 'pending' && !invitation.isPending() ? 'expired' : invitation.status,
+  expiresAt: invitation.expiresAt,
+  respondedAt: invitation.respondedAt,
+  createdAt: invitation.createdAt
+});
+
+// Loads :id as a group the caller belongs to, or sends the error response
+// and returns null. Direct conversations have no invites.
+const loadGroupForInvites = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Group not found' });
+    return null;
+  }
+
+  const group = await Group.findById(req.params.id);
+  if (!group) {
+    res.status(404).json({ error: 'Group not found' });
+    return null;
+  }
+
+  if (group.kind === 'direct') {
+    res.status(400).json({ error: 'Not available for direct conversations' });
+    return null;
+  }
+
+  if (!group.members.includes(req.user.userId)) {
+    res.status(403).json({ error: 'Not a member of this group' });
+    return null;
+  }
+
+  return group;
+};
+
+const isManager = (group, userId) => group.owner.equals(userId) || group.admins.includes(userId);
+
+// An invite is only as good as its creator's current rights: it stops
+// working once they leave, lose the admin role an admin invite needs, or
+// the group turns member invites off
+const creatorCanStillInvite = async (group, invite) => {
+  if (!group.members.includes(invite.createdBy)) return false;
+  if (isManager(group, invite.createdBy)) return true;
+  if (invite.role !== 'member') return false;
+
+  const settings = await GroupSettings.forGroup(group);
+  return settings.allowMemberInvites;
+};
+
+// POST /groups/:id/invites
+// Owners and admins can always invite; members only when the group allows
+// member invites, and never as admins
+const createInvite = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const group = await loadGroupForInvites(req, res);
+    if (!group) return;
+
+    const { role = 'member', expiresAt, maxUses } = req.body || {};
+    const manager = isManager(group, req.user.userId);
+
+    if (!manager) {
+      const settings = await GroupSettings.forGroup(group);
+      if (!settings.allowMemberInvites) {
+        return res.status(403).json({ error: 'Not authorized to invite to this group' });
+      }
+      if (role !== 'member') {
+        return res.status(403).json({ error: 'Only the owner and admins can invite admins' });
+      }
+    }
+
+    const invite = await Invite.create({
+      group: group._id,
+      code: crypto.randomBytes(12).toString('base64url'),
+      createdBy: req.user.userId,
+      role,
+      expiresAt,
+      maxUses
+    });
+
+    res.status(201).json(serializeInvite(invite));
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// GET /groups/:id/invites
+// Owners and admins see every invite of the group, members their own
+const listInvites = async (req, res) => {
+  try {
+    const group = await loadGroupForInvites(req, res);
+    if (!group) return;
+
+    const query = { group: group._id };
+    if (!isManager(group, req.user.userId)) query.createdBy = req.user.userId;
+
+    const invites = await Invite.find(query)
+      .sort({ createdAt: -1 })
+      .populate('createdBy', User.PUBLIC_PROFILE_FIELDS)
+      .populate('acceptances.user', User.PUBLIC_PROFILE_FIELDS);
+
+    const active = req.query.active === 'true';
+    res.json(invites.filter(invite => !active || invite.isUsable()).map(serializeInvite));
+  } catch (error) {
+    console.error('Error listing invites:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// DELETE /groups/:id/invites/:inviteId
+const revokeInvite = async (req, res) => {
+  try {
+    const group = await loadGroupForInvites(req, res);
+    if (!group) return;
+
+    if (!mongoose.isValidObjectId(req.params.inviteId)) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    const query = { _id: req.params.inviteId, group: group._id, revokedAt: null };
+    if (!isManager(group, req.user.userId)) query.createdBy = req.user.userId;
+
+    const invite = await Invite.findOneAndUpdate(
+      query,
+      { revokedAt: new Date(), revokedBy: req.user.userId },
+      { new: true }
+    );
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({ message: 'Invite revoked', invite: serializeInvite(invite) });
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// POST /invites/:code/accept
+const acceptInvite = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const invite = await Invite.findOne({ code: req.params.code });
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    if (!invite.isUsable()) {
+      return res.status(410).json({ error: 'This invite has expired, been used up or been revoked' });
+    }
+
+    const group = await Group.findById(invite.group);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    if (!(await creatorCanStillInvite(group, invite))) {
+      return res.status(410).json({ error: 'This invite is no longer valid' });
+    }
+
+    if (group.members.includes(userId)) {
+      return res.status(400).json({ error: 'Already a member of this group' });
+    }
+
+    const ban = await banService.activeBan(group._id, userId);
+    if (ban) {
+      const { message, ...details } = banService.describe(ban);
+      return res.status(403).json({ error: message, ...details });
+    }
+
+    // Same rule as adding someone directly: no joining on the word of a
+    // user you blocked or who blocked you
+    if (await blockService.hasBlockBetween([userId, invite.createdBy])) {
+      return res.status(403).json({ error: 'You cannot use this invite' });
+    }
+
+    if (group.members.length >= group.maxMembers) {
+      return res.status(400).json({ error: 'Group is full' });
+    }
+
+    // Claim a use atomically so a nearly used-up invite can't be accepted
+    // more often than allowed
+    const now = new Date();
+    const claimed = await Invite.findOneAndUpdate(
+      {
+        _id: invite._id,
+        revokedAt: null,
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+        ]
+      },
+      { $inc: { uses: 1 }, $push: { acceptances: { user: userId, acceptedAt: now } } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(410).json({ error: 'This invite has expired, been used up or been revoked' });
+    }
+
+    const { added, reason } = await membershipService.addMember(group, userId, { admin: invite.role === 'admin' });
+    if (!added) {
+      // Filled up or joined some other way in the meantime; give the use back
+      await Invite.updateOne(
+        { _id: invite._id },
+        { $inc: { uses: -1 }, $pull: { acceptances: { user: userId, acceptedAt: now } } }
+      );
+      if (reason === 'banned') {
+        return res.status(403).json({ error: banService.BANNED_MESSAGE });
+      }
+      return res.status(400).json({
+        error: reason === 'full' ? 'Group is full' : 'Already a member of this group'
+      });
+    }
+
+    // A pending request to join is settled by the invite
+    await JoinRequest.updateMany(
+      { group: group._id, user: userId, status: 'pending' },
+      { status: 'approved', processedAt: now }
+    );
+
+    res.json({
+      message: 'Joined the group',
+      group: { id: group._id, name: group.name },
+      role: invite.role
+    });
+  } catch (error) {
+    console.error('Error accepting invite:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// POST /groups/:id/invitations
+// Same permissions as adding a member by id
+const inviteByEmail = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const group = await loadGroupForInvites(req, res);
+    if (!group) return;
+
+    if (!isManager(group, req.user.userId)) {
+      const settings = await GroupSettings.forGroup(group);
+      if (!settings.allowMemberInvites) {
+        return res.status(403).json({ error: 'Not authorized to invite to this group' });
+      }
+    }
+
+    const email = req.body.email.trim().toLowerCase();
+    const user = await User.findOne({ email }).select('_id');
+
+    if (user) {
+      if (group.members.includes(user._id)) {
+        return res.status(400).json({ error: 'User already a member of the group' });
+      }
+
+      if (await blockService.hasBlockBetween([req.user.userId, user._id])) {
+        return res.status(403).json({ error: 'You cannot invite this user' });
+      }
+
+      if (await banService.activeBan(group._id, user._id)) {
+        return res.status(403).json({ error: 'User is banned from this group' });
+      }
+    }
+
+    const invitation = await invitationService.sendInvitation({
+      group,
+      email,
+      invitedBy: req.user.userId,
+      user
+    });
+    if (!invitation) {
+      return res.status(409).json({ error: 'An invitation to this address is already pending' });
+    }
+
+    res.status(201).json(serializeInvitation(invitation));
+  } catch (error) {
+    console.error('Error sending email invitation:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// GET /groups/:id/invitations
+// Owners and admins see every invitation of the group, members their own
+const listEmailInvitations = async (req, res) => {
+  try {
+    const group = await loadGroupForInvites(req, res);
+    if (!group) return;
+
+    const query = { group: group._id };
+    if (!isManager(group, req.user.userId)) query.invitedBy = req.user.userId;
+    if (req.query.status) query.status = req.query.status;
+
+    const invitations = await EmailInvitation.find(query)
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate('invitedBy', User.PUBLIC_PROFILE_FIELDS);
+
+    res.json(invitations.map(serializeInvitation));
+  } catch (error) {
+    console.error('Error listing email invitations:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// DELETE /groups/:id/invitations/:invitationId
+const revokeEmailInvitation = async (req, res) => {
+  try {
+    const group = await loadGroupForInvites(req, res);
+    if (!group) return;
+
+    if (!mongoose.isValidObjectId(req.params.invitationId)) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const query = { _id: req.params.invitationId, group: group._id, status: 'pending' };
+    if (!isManager(group, req.user.userId)) query.invitedBy = req.user.userId;
+
+    const invitation = await EmailInvitation.findOneAndUpdate(
+      query,
+      { status: 'revoked', respondedAt: new Date() },
+      { new: true }
+    );
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked', invitation: serializeInvitation(invitation) });
+  } catch (error) {
+    console.error('Error revoking email invitation:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// GET /users/me/invitations
+const getMyInvitations = async (req, res) => {
+  try {
+    const invitations = await EmailInvitation.find({
+      user: req.user.userId,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ createdAt: -1 })
+      .populate('group', 'name description type')
+      .populate('invitedBy', User.PUBLIC_PROFILE_FIELDS);
+
+    res.json(invitations.map(serializeInvitation));
+  } catch (error) {
+    console.error('Error getting invitations:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Loads :invitationId as one of the caller's invitations, or sends the
+// error response and returns null
+const loadMyInvitation = async (req, res) => {
+  const invitation = mongoose.isValidObjectId(req.params.invitationId) &&
+    await EmailInvitation.findOne({ _id: req.params.invitationId, user: req.user.userId });
+  if (!invitation) {
+    res.status(404).json({ error: 'Invitation not found' });
+    return null;
+  }
+  return invitation;
+};
+
+// POST /users/me/invitations/:invitationId/accept
+const acceptMyInvitation = async (req, res) => {
+  try {
+    const invitation = await loadMyInvitation(req, res);
+    if (!invitation) return;
+
+    const failure = await invitationService.acceptInvitation(invitation, req.user.userId);
+    if (failure) {
+      return res.status(failure.status).json({ error: failure.error });
+    }
+
+    res.json({ message: 'Invitation accepted', groupId: invitation.group });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// POST /users/me/invitations/:invitationId/decline
+const declineMyInvitation = async (req, res) => {
+  try {
+    const invitation = await loadMyInvitation(req, res);
+    if (!invitation) return;
+
+    const declined = await EmailInvitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending' },
+      { status: 'declined', respondedAt: new Date() }
+    );
+    if (!declined) {
+      return res.status(410).json({ error: 'This invitation is no longer valid' });
+    }
+
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    console.error('Error declining invitation:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  createInvite,
+  listInvites,
+  revokeInvite,
+  acceptInvite,
+  inviteByEmail,
+  listEmailInvitations,
+  revokeEmailInvitation,
+  getMyInvitations,
+  acceptMyInvitation,
+  declineMyInvitation
+};
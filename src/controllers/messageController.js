@@ -1,11 +1,338 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
 const Message = require('../models/Message');
 const Group = require('../models/Group');
+const User = require('../models/User');
+const Reaction = require('../models/Reaction');
 const encryptionService = require('../services/encryptionService');
+const realtimeService = require('../services/realtimeService');
+const readMarkerService = require('../services/readMarkerService');
+const attachmentService = require('../services/attachmentService');
+const searchService = require('../services/searchService');
+const mentionService = require('../services/mentionService');
+const blockService = require('../services/blockService');
+const GroupSettings = require('../models/GroupSettings');
+const pagination = require('../utils/pagination');
+
+const EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES || '15', 10);
+const PIN_LIMIT = parseInt(process.env.PIN_LIMIT || '25', 10);
+
+// Emoji, including skin tones, ZWJ sequences, flags and keycaps
+const EMOJI_PATTERN = /^(?:[\p{Extended_Pictographic}\p{Regional_Indicator}\p{Emoji_Component}\u200d\ufe0f\u20e3])+$/u;
+const MAX_EMOJI_LENGTH = 32;
+
+// Turns a stored message into what clients see: plaintext for server
+// encrypted groups, the untouched client ciphertext for e2e groups. A message
+// that fails authentication is reported on its own instead of failing the
+// whole page.
+const serializeMessage = async (group, msg) => {
+  const base = {
+    _id: msg._id,
+    sender: msg.sender,
+    createdAt: msg.createdAt
+  };
+
+  if (msg.editedAt) base.editedAt = msg.editedAt;
+  if (msg.replyTo) base.replyTo = msg.replyTo;
+  if (msg.threadRoot) base.threadRoot = msg.threadRoot;
+  if (msg.replyCount) {
+    base.replyCount = msg.replyCount;
+    base.lastReplyAt = msg.lastReplyAt;
+  }
+  if (msg.mentions && msg.mentions.length > 0) base.mentions = msg.mentions;
+  if (msg.mentionsEveryone) base.mentionsEveryone = true;
+  if (msg.mentionsAdmins) base.mentionsAdmins = true;
+
+  // Deleted messages keep their place in the conversation
+  if (msg.deletedAt) {
+    return { ...base, content: null, deleted: true, deletedAt: msg.deletedAt };
+  }
+
+  if (msg.attachments && msg.attachments.length > 0) {
+    base.attachments = msg.attachments.map(({ _id, filename, mimeType, size }) => ({ _id, filename, mimeType, size }));
+  }
+
+  // A message with attachments may have no text
+  if (!msg.encryptedContent) {
+    return msg.algorithm === 'e2e' ? { ...base, ciphertext: null, keyVersion: msg.keyVersion } : { ...base, content: '' };
+  }
+
+  if (msg.algorithm === 'e2e') {
+    return {
+      ...base,
+      ciphertext: msg.encryptedContent,
+      iv: msg.iv,
+      authTag: msg.authTag,
+      keyVersion: msg.keyVersion
+    };
+  }
+
+  try {
+    return { ...base, content: await encryptionService.decryptForGroup(group, msg) };
+  } catch (error) {
+    console.error(`Integrity check failed for message ${msg._id}:`, error.message);
+    return { ...base, content: null, error: 'integrity_check_failed' };
+  }
+};
+
+// Serializes a list of messages and replaces each replyTo id with a quote of
+// the parent (sender and content, or a tombstone if it was deleted)
+const serializeMessages = async (group, messages) => {
+  const serialized = await Promise.all(messages.map(msg => serializeMessage(group, msg)));
+
+  const parentIds = [...new Set(messages.filter(msg => msg.replyTo).map(msg => msg.replyTo.toString()))];
+  if (parentIds.length === 0) return serialized;
+
+  const parents = await Message.find({ _id: { $in: parentIds }, group: group._id })
+    .populate('sender', User.PUBLIC_PROFILE_FIELDS);
+  const quotes = new Map();
+  for (const parent of parents) {
+    const { _id, sender, createdAt, content, ciphertext, iv, authTag, keyVersion, deleted, error } =
+      await serializeMessage(group, parent);
+    quotes.set(_id.toString(), { _id, sender, createdAt, content, ciphertext, iv, authTag, keyVersion, deleted, error });
+  }
+
+  return serialized.map(item => (item.replyTo
+    ? { ...item, replyTo: quotes.get(item.replyTo.toString()) || { _id: item.replyTo, deleted: true } }
+    : item));
+};
+
+// Adds aggregated reactions to serialized messages:
+// [{ emoji, count, reactedByMe }] in the order each emoji was first used
+const attachReactions = async (serialized, viewerId) => {
+  const ids = serialized.filter(item => !item.deleted).map(item => item._id);
+  if (ids.length === 0) return serialized;
+
+  const counts = await Reaction.aggregate([
+    { $match: { message: { $in: ids } } },
+    {
+      $group: {
+        _id: { message: '$message', emoji: '$emoji' },
+        count: { $sum: 1 },
+        users: { $push: '$user' },
+        firstAt: { $min: '$createdAt' }
+      }
+    },
+    { $sort: { firstAt: 1 } }
+  ]);
+
+  const byMessage = new Map();
+  for (const entry of counts) {
+    const key = entry._id.message.toString();
+    if (!byMessage.has(key)) byMessage.set(key, []);
+    byMessage.get(key).push({
+      emoji: entry._id.emoji,
+      count: entry.count,
+      reactedByMe: entry.users.some(user => user.equals(viewerId))
+    });
+  }
+
+  return serialized.map(item => (item.deleted
+    ? item
+    : { ...item, reactions: byMessage.get(item._id.toString()) || [] }));
+};
+
+// Leaves out messages from users the viewer blocked, unless they chose to
+// see them anyway (privacy.hideBlockedMessages)
+const withHiddenSenders = async (baseQuery, viewerId) => {
+  const hidden = await blockService.hiddenSendersFor(viewerId);
+  return hidden.length > 0 ? { ...baseQuery, sender: { $nin: hidden } } : baseQuery;
+};
+
+// Reads before/after/around/limit from the query string into paginate()
+// options, or sends the error response and returns null. around must be a
+// message matching baseQuery.
+const readPageOptions = async (req, res, baseQuery) => {
+  const { before, after, around } = req.query;
+  if ([before, after, around].filter(Boolean).length > 1) {
+    res.status(400).json({ error: 'Use only one of before, after or around' });
+    return null;
+  }
+
+  const options = {
+    limit: pagination.parseLimit(req.query.limit),
+    populate: ['sender', User.PUBLIC_PROFILE_FIELDS]
+  };
+
+  if (before || after) {
+    const cursor = pagination.decodeCursor(before || after);
+    if (!cursor) {
+      res.status(400).json({ error: 'Invalid cursor' });
+      return null;
+    }
+    options[before ? 'before' : 'after'] = cursor;
+  }
+
+  if (around) {
+    const pivot = mongoose.isValidObjectId(around) &&
+      await Message.findOne({ ...baseQuery, _id: around }).select('createdAt');
+    if (!pivot) {
+      res.status(404).json({ error: 'Message not found' });
+      return null;
+    }
+    options.around = pivot;
+  }
+
+  return options;
+};
+
+// Validates replyTo for a new message and returns the reply fields to store,
+// or sends the error response and returns null
+const readReplyTarget = async (req, res, group) => {
+  const { replyTo } = req.body;
+  if (replyTo === undefined || replyTo === null) return {};
+
+  const parent = mongoose.isValidObjectId(replyTo) &&
+    await Message.findById(replyTo).select('group threadRoot deletedAt');
+  if (!parent) {
+    res.status(404).json({ error: 'Message being replied to was not found' });
+    return null;
+  }
+
+  if (!parent.group.equals(group._id)) {
+    res.status(400).json({ error: 'Replies must be in the same group as the message they reply to' });
+    return null;
+  }
+
+  if (parent.deletedAt) {
+    res.status(400).json({ error: 'Cannot reply to a deleted message' });
+    return null;
+  }
+
+  // Replies to replies join the original thread
+  return { replyTo: parent._id, threadRoot: parent.threadRoot || parent._id };
+};
+
+// Keeps the counters shown on a thread's root message up to date
+const recordReply = (message) => {
+  if (!message.threadRoot) return null;
+  return Message.updateOne(
+    { _id: message.threadRoot },
+    { $inc: { replyCount: 1 }, $max: { lastReplyAt: message.createdAt } }
+  );
+};
+
+// Saves a new message, updates its thread and pushes it to subscribers.
+// Returns the serialized message, which is also what the sender gets back.
+const publishNewMessage = async (group, message) => {
+  await message.save();
+  await recordReply(message);
+  // Sending implies having read everything up to your own message
+  await readMarkerService.markRead(group._id, message.sender, message);
+
+  message.sender = await User.findById(message.sender).select(User.PUBLIC_PROFILE_FIELDS);
+  const [serialized] = await serializeMessages(group, [message]);
+  realtimeService.publishMessage(group._id, serialized);
+  return serialized;
+};
+
+const isModerator = (group, userId) => group.owner.equals(userId) || group.admins.includes(userId);
+
+// Rejects uploads the group's attachment settings don't allow. Returns false
+// after sending the error response.
+const checkAttachments = (req, res, settings) => {
+  if (!req.files || req.files.length === 0) return true;
+
+  const problem = attachmentService.checkFiles(req.files, attachmentService.policyFor(settings));
+  if (problem) {
+    res.status(problem.status).json({ error: problem.error });
+    return false;
+  }
+  return true;
+};
+
+// Stores the message's attachments, then saves and publishes it. Stored
+// files are removed again if the message can't be saved. Returns the
+// serialized message.
+const saveWithAttachments = async (req, group, message) => {
+  const files = req.files || [];
+  if (files.length > 0) {
+    message.attachments = await attachmentService.storeFiles(group, message._id, files);
+  }
+
+  try {
+    return await publishNewMessage(group, message);
+  } catch (error) {
+    if (message.isNew) await attachmentService.removeFiles(message.attachments);
+    throw error;
+  }
+};
+
+// Checks client ciphertext for an e2e group and returns the fields to store,
+// or sends the error response and returns null
+// When attachments are sent the ciphertext may be left out, but the files
+// must still be encrypted under the current epoch.
+const readE2EPayload = (req, res, group, { allowEmpty = false } = {}) => {
+  const { ciphertext, iv, authTag } = req.body;
+  // Multipart form fields arrive as strings
+  const keyVersion = typeof req.body.keyVersion === 'string' ? Number(req.body.keyVersion) : req.body.keyVersion;
+  const empty = ciphertext === undefined && iv === undefined;
+
+  if (!(allowEmpty && empty) && (typeof ciphertext !== 'string' || !ciphertext || typeof iv !== 'string' || !iv)) {
+    res.status(400).json({ error: 'ciphertext and iv are required for end-to-end encrypted groups' });
+    return null;
+  }
+
+  if (group.e2e.epoch === 0 || group.e2e.rekeyRequired) {
+    res.status(409).json({ error: 'A new group key must be distributed before sending', rekeyRequired: true });
+    return null;
+  }
+
+  if (keyVersion !== group.e2e.epoch) {
+    res.status(409).json({ error: 'Message must be encrypted with the current group key', epoch: group.e2e.epoch });
+    return null;
+  }
+
+  if (empty) return { algorithm: 'e2e', keyVersion };
+  return { encryptedContent: ciphertext, iv, authTag, algorithm: 'e2e', keyVersion };
+};
+
+// Encrypts plaintext for a server encrypted group into the fields to store,
+// including its search tokens. The group must have been loaded with
+// +encryptionKey +searchKey.
+const encryptContent = async (group, content, messageId) => {
+  const { encryptedData, iv, authTag, algorithm, keyVersion } =
+    await encryptionService.encryptForGroup(group, content, messageId);
+  return {
+    encryptedContent: encryptedData,
+    iv,
+    authTag,
+    algorithm,
+    keyVersion,
+    searchTokens: await searchService.indexTokens(group, content)
+  };
+};
+
+// E2E groups: the client encrypts, the server stores the ciphertext as-is
+const sendE2EMessage = async (req, res, group, settings) => {
+  const payload = readE2EPayload(req, res, group, { allowEmpty: !!(req.files && req.files.length) });
+  if (!payload) return;
+
+  if (!checkAttachments(req, res, settings)) return;
+
+  const reply = await readReplyTarget(req, res, group);
+  if (!reply) return;
+
+  const message = new Message({
+    group: group._id,
+    sender: req.user.userId,
+    ...reply,
+    ...payload,
+    ...mentionService.fromClient(group, req.body.mentions)
+  });
+
+  res.status(201).json(await saveWithAttachments(req, group, message));
+};
 
 const sendMessage = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     const { content } = req.body;
-    const group = await Group.findById(req.params.groupId);
+    const group = await Group.findById(req.params.groupId).select('+encryptionKey +searchKey');
     
     if (!group) {
       return res.status(404).json({ error: 'Group not found' });
@@ -15,17 +342,44 @@ const sendMessage = async (req, res) => {
       return res.status(403).json({ error: 'Not a member of this group' });
     }
 
-    const { encryptedData, iv } = encryptionService.encrypt(content, group.encryptionKey);
+    if (group.kind === 'direct' && await blockService.hasBlockBetween(group.members)) {
+      return res.status(403).json({ error: 'Messages cannot be sent in this conversation' });
+    }
+
+    const settings = await GroupSettings.forGroup(group);
+    if (settings.announcementOnly && !isModerator(group, req.user.userId)) {
+      return res.status(403).json({ error: 'Only the owner and admins can post in this group' });
+    }
+
+    if (group.encryptionMode === 'e2e') {
+      return sendE2EMessage(req, res, group, settings);
+    }
+
+    const hasText = typeof content === 'string' && content.trim() !== '';
+    if (!hasText && !(req.files && req.files.length)) {
+      return res.status(400).json({ error: 'Message content is required' });
+    }
+
+    if (!checkAttachments(req, res, settings)) return;
+
+    const reply = await readReplyTarget(req, res, group);
+    if (!reply) return;
+
+    // The id is part of the associated data, so it has to exist before encrypting
+    const messageId = new mongoose.Types.ObjectId();
     
     const message = new Message({
+      _id: messageId,
       group: group._id,
       sender: req.user.userId,
-      encryptedContent: encryptedData,
-      iv
+      ...reply,
+      ...(hasText ? await encryptContent(group, content, messageId) : { algorithm: encryptionService.algorithm }),
+      ...await mentionService.resolveMentions(group, hasText ? content : '')
     });
 
-    await message.save();
-    res.status(201).json(message);
+    // The sender and subscribers get the plaintext in the same shape
+    // getMessages returns
+    res.status(201).json(await saveWithAttachments(req, group, message));
   } catch (error) {
     console.error('Error sending message:', error);
     res.status(500).json({ error: 'Server error' });
@@ -34,7 +388,7 @@ const sendMessage = async (req, res) => {
 
 const getMessages = async (req, res) => {
   try {
-    const group = await Group.findById(req.params.groupId);
+    const group = await Group.findById(req.params.groupId).select('+encryptionKey +keyHistory');
     
     if (!group) {
       return res.status(404).json({ error: 'Group not found' });
@@ -44,23 +398,710 @@ const getMessages = async (req, res) => {
       return res.status(403).json({ error: 'Not a member of this group' });
     }
 
-    const messages = await Message.find({ group: group._id })
-      .sort({ createdAt: -1 })
-      .limit(50)
-      .populate('sender', 'email');
+    const baseQuery = await withHiddenSenders({ group: group._id }, req.user.userId);
+    const options = await readPageOptions(req, res, baseQuery);
+    if (!options) return;
 
-    const decryptedMessages = messages.map(msg => ({
-      _id: msg._id,
-      content: encryptionService.decrypt(msg.encryptedContent, group.encryptionKey, msg.iv),
-      sender: msg.sender,
-      createdAt: msg.createdAt
-    }));
+    const page = await pagination.paginate(Message, baseQuery, options);
 
-    res.json(decryptedMessages);
+    const messages = await serializeMessages(group, page.items);
+
+    res.json({
+      messages: await attachReactions(messages, req.user.userId),
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor
+    });
   } catch (error) {
     console.error('Error getting messages:', error);
     res.status(500).json({ error: 'Server error' });
   }
 };
 
-module.exports = { sendMessage, getMessages };
\ No newline at end of file
+// GET /groups/:groupId/messages/search?q=
+// Matches messages containing every word of q, optionally narrowed by
+// sender and date range. Paginated like getMessages.
+const searchMessages = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.groupId).select('+encryptionKey +keyHistory +searchKey');
+    
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    if (!group.members.includes(req.user.userId)) {
+      return res.status(403).json({ error: 'Not a member of this group' });
+    }
+
+    if (group.encryptionMode === 'e2e') {
+      return res.status(400).json({ error: 'End-to-end encrypted groups can only be searched on the client' });
+    }
+
+    const { q, sender, from, to } = req.query;
+    const tokens = await searchService.queryTokens(group, typeof q === 'string' ? q : '');
+    if (tokens.length === 0) {
+      return res.status(400).json({
+        error: `q must contain at least one word of ${searchService.MIN_WORD_LENGTH} or more letters or digits`
+      });
+    }
+
+    const baseQuery = await withHiddenSenders(
+      { group: group._id, searchTokens: { $all: tokens }, deletedAt: null },
+      req.user.userId
+    );
+
+    if (sender !== undefined) {
+      if (!mongoose.isValidObjectId(sender)) {
+        return res.status(400).json({ error: 'Invalid sender' });
+      }
+      // $and so it combines with the hidden-sender filter instead of replacing it
+      baseQuery.$and = [{ sender }];
+    }
+
+    const range = {};
+    for (const [name, value, operator] of [['from', from, '$gte'], ['to', to, '$lte']]) {
+      if (value === undefined) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({ error: `Invalid ${name} date` });
+      }
+      range[operator] = date;
+    }
+    if (Object.keys(range).length > 0) baseQuery.createdAt = range;
+
+    const options = await readPageOptions(req, res, baseQuery);
+    if (!options) return;
+
+    const page = await pagination.paginate(Message, baseQuery, options);
+    const messages = await serializeMessages(group, page.items);
+
+    res.json({
+      messages: await attachReactions(messages, req.user.userId),
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    console.error('Error searching messages:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// GET /users/me/mentions
+// Messages in the caller's current groups that mention them directly, via
+// @everyone, or via @admins in groups they administer. Paginated like
+// getMessages, across all groups at once.
+const getMentions = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const groups = await Group.find({ members: userId }).select('+encryptionKey +keyHistory');
+    const groupsById = new Map(groups.map(group => [group._id.toString(), group]));
+    const adminGroupIds = groups
+      .filter(group => group.owner.equals(userId) || group.admins.includes(userId))
+      .map(group => group._id);
+
+    const baseQuery = {
+      group: { $in: groups.map(group => group._id) },
+      sender: { $ne: userId },
+      deletedAt: null,
+      $or: [
+        { mentions: userId },
+        { mentionsEveryone: true },
+        { mentionsAdmins: true, group: { $in: adminGroupIds } }
+      ]
+    };
+
+    const options = await readPageOptions(req, res, baseQuery);
+    if (!options) return;
+
+    const page = await pagination.paginate(Message, baseQuery, options);
+
+    const mentions = await Promise.all(page.items.map(async item => {
+      const group = groupsById.get(item.group.toString());
+      const [message] = await serializeMessages(group, [item]);
+      return {
+        group: { _id: group._id, name: group.name },
+        message,
+        direct: item.mentions.some(id => id.equals(userId))
+      };
+    }));
+
+    res.json({
+      mentions,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    console.error('Error getting mentions:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// POST /groups/:id/pins/:messageId (owner/admin, checked by roleMiddleware)
+const pinMessage = async (req, res) => {
+  try {
+    const messageId = req.params.messageId;
+    const message = mongoose.isValidObjectId(messageId) &&
+      await Message.findOne({ _id: messageId, group: req.params.id }).select('deletedAt');
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    if (message.deletedAt) {
+      return res.status(400).json({ error: 'Deleted messages cannot be pinned' });
+    }
+
+    const pin = { message: message._id, pinnedBy: req.user.userId, pinnedAt: new Date() };
+
+    // Checking the limit and pushing in one update keeps concurrent pins
+    // from going over it
+    const updated = await Group.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        'pins.message': { $ne: message._id },
+        [`pins.${PIN_LIMIT - 1}`]: { $exists: false }
+      },
+      { $push: { pins: pin } },
+      { new: true }
+    );
+
+    if (!updated) {
+      const group = await Group.findById(req.params.id).select('pins');
+      if (group.pins.some(item => item.message.equals(message._id))) {
+        return res.status(400).json({ error: 'Message is already pinned' });
+      }
+      return res.status(409).json({ error: `Groups can have at most ${PIN_LIMIT} pinned messages` });
+    }
+
+    realtimeService.publishEvent(updated._id, 'message.pinned', {
+      messageId: message._id.toString(),
+      pinnedBy: req.user.userId.toString(),
+      pinnedAt: pin.pinnedAt
+    });
+
+    res.status(201).json({ message: 'Message pinned', pin });
+  } catch (error) {
+    console.error('Error pinning message:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// DELETE /groups/:id/pins/:messageId (owner/admin, checked by roleMiddleware)
+const unpinMessage = async (req, res) => {
+  try {
+    const messageId = req.params.messageId;
+    const updated = mongoose.isValidObjectId(messageId) && await Group.findOneAndUpdate(
+      { _id: req.params.id, 'pins.message': messageId },
+      { $pull: { pins: { message: messageId } } }
+    );
+    if (!updated) {
+      return res.status(404).json({ error: 'Message is not pinned' });
+    }
+
+    realtimeService.publishEvent(updated._id, 'message.unpinned', { messageId });
+
+    res.json({ message: 'Message unpinned' });
+  } catch (error) {
+    console.error('Error unpinning message:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// GET /groups/:id/pins
+// Most recently pinned first, each with the full serialized message
+const getPins = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id).select('+encryptionKey +keyHistory');
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    if (!group.members.includes(req.user.userId)) {
+      return res.status(403).json({ error: 'Not a member of this group' });
+    }
+
+    const pins = [...group.pins].reverse();
+    const messages = await Message.find({ _id: { $in: pins.map(pin => pin.message) }, group: group._id })
+      .populate('sender', User.PUBLIC_PROFILE_FIELDS);
+    const serialized = await attachReactions(await serializeMessages(group, messages), req.user.userId);
+    const byId = new Map(serialized.map(item => [item._id.toString(), item]));
+
+    res.json({
+      limit: PIN_LIMIT,
+      pins: pins
+        .filter(pin => byId.has(pin.message.toString()))
+        .map(pin => ({
+          message: byId.get(pin.message.toString()),
+          pinnedBy: pin.pinnedBy,
+          pinnedAt: pin.pinnedAt
+        }))
+    });
+  } catch (error) {
+    console.error('Error getting pins:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// GET /groups/:groupId/messages/:messageId/thread
+const getThread = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.groupId).select('+encryptionKey +keyHistory');
+    
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    if (!group.members.includes(req.user.userId)) {
+      return res.status(403).json({ error: 'Not a member of this group' });
+    }
+
+    const target = mongoose.isValidObjectId(req.params.messageId) &&
+      await Message.findOne({ _id: req.params.messageId, group: group._id }).select('threadRoot');
+    if (!target) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    // Asking for the thread of a reply returns the whole thread it belongs to
+    const root = await Message.findById(target.threadRoot || target._id).populate('sender', User.PUBLIC_PROFILE_FIELDS);
+
+    const baseQuery = await withHiddenSenders({ group: group._id, threadRoot: root._id }, req.user.userId);
+    const options = await readPageOptions(req, res, baseQuery);
+    if (!options) return;
+
+    const page = await pagination.paginate(Message, baseQuery, options);
+    const [serializedRoot, ...messages] = await attachReactions(
+      await serializeMessages(group, [root, ...page.items]),
+      req.user.userId
+    );
+
+    res.json({
+      root: serializedRoot,
+      messages,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    console.error('Error getting thread:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Loads a message and its group for someone who is still a member, or sends
+// the error response and returns nulls. groupSelect picks the key fields.
+const loadMessageForMember = async (req, res, groupSelect) => {
+  const message = mongoose.isValidObjectId(req.params.id) &&
+    await Message.findById(req.params.id);
+  if (!message) {
+    res.status(404).json({ error: 'Message not found' });
+    return {};
+  }
+
+  let groupQuery = Group.findById(message.group);
+  if (groupSelect) groupQuery = groupQuery.select(groupSelect);
+  const group = await groupQuery;
+  if (!group) {
+    res.status(404).json({ error: 'Group not found' });
+    return {};
+  }
+
+  if (!group.members.includes(req.user.userId)) {
+    res.status(403).json({ error: 'Not a member of this group' });
+    return {};
+  }
+
+  return { message, group };
+};
+
+const editMessage = async (req, res) => {
+  try {
+    const { message, group } = await loadMessageForMember(req, res, '+encryptionKey +keyHistory +searchKey');
+    if (!message) return;
+
+    if (!message.sender.equals(req.user.userId)) {
+      return res.status(403).json({ error: 'Only the sender can edit a message' });
+    }
+
+    if (message.deletedAt) {
+      return res.status(400).json({ error: 'Deleted messages cannot be edited' });
+    }
+
+    if (Date.now() - message.createdAt.getTime() > EDIT_WINDOW_MINUTES * 60 * 1000) {
+      return res.status(403).json({ error: `Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes` });
+    }
+
+    let payload;
+    if (group.encryptionMode === 'e2e') {
+      payload = readE2EPayload(req, res, group);
+      if (!payload) return;
+      Object.assign(payload, mentionService.fromClient(group, req.body.mentions));
+    } else {
+      const { content } = req.body;
+      if (typeof content !== 'string' || content.trim() === '') {
+        return res.status(400).json({ error: 'Message content is required' });
+      }
+      // Always re-encrypted under the current key, even if the original used an older one
+      payload = {
+        ...await encryptContent(group, content, message._id),
+        ...await mentionService.resolveMentions(group, content)
+      };
+    }
+
+    const editedAt = new Date();
+
+    const update = { $set: { ...payload, editedAt } };
+    // Attachment-only messages have no previous text to keep
+    if (message.encryptedContent) {
+      update.$push = {
+        editHistory: {
+          encryptedContent: message.encryptedContent,
+          iv: message.iv,
+          authTag: message.authTag,
+          algorithm: message.algorithm,
+          keyVersion: message.keyVersion,
+          editedAt
+        }
+      };
+    }
+
+    // Only applies if nobody edited or deleted the message since we read it
+    const updated = await Message.findOneAndUpdate(
+      { _id: message._id, encryptedContent: message.encryptedContent ?? null, deletedAt: null },
+      update,
+      { new: true }
+    ).populate('sender', User.PUBLIC_PROFILE_FIELDS);
+
+    if (!updated) {
+      return res.status(409).json({ error: 'Message was changed by another request, reload and retry' });
+    }
+
+    const [serialized] = await serializeMessages(group, [updated]);
+    realtimeService.publishEvent(group._id, 'message.updated', { message: serialized });
+
+    res.json(serialized);
+  } catch (error) {
+    console.error('Error editing message:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const deleteMessage = async (req, res) => {
+  try {
+    const { message, group } = await loadMessageForMember(req, res);
+    if (!message) return;
+
+    // Senders can delete their own messages; owners and admins can moderate
+    const isSender = message.sender.equals(req.user.userId);
+    if (!isSender && !isModerator(group, req.user.userId)) {
+      return res.status(403).json({ error: 'Not authorized to delete this message' });
+    }
+
+    if (message.deletedAt) {
+      return res.status(400).json({ error: 'Message already deleted' });
+    }
+
+    // The ciphertext and its history are dropped; only a tombstone remains
+    const deletedAt = new Date();
+    await Message.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          deletedAt,
+          deletedBy: req.user.userId,
+          editHistory: [],
+          attachments: [],
+          mentions: [],
+          mentionsEveryone: false,
+          mentionsAdmins: false
+        },
+        $unset: { encryptedContent: 1, iv: 1, authTag: 1, searchTokens: 1 }
+      }
+    );
+
+    await attachmentService.removeFiles(message.attachments);
+
+    // Reactions and pins of content that no longer exists are meaningless
+    await Reaction.deleteMany({ message: message._id });
+    await Group.updateOne({ _id: group._id }, { $pull: { pins: { message: message._id } } });
+
+    realtimeService.publishEvent(group._id, 'message.deleted', {
+      messageId: message._id.toString(),
+      deletedAt
+    });
+
+    res.json({ message: 'Message deleted', _id: message._id, deletedAt });
+  } catch (error) {
+    console.error('Error deleting message:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const getEditHistory = async (req, res) => {
+  try {
+    const { message, group } = await loadMessageForMember(req, res, '+encryptionKey +keyHistory');
+    if (!message) return;
+
+    const isSender = message.sender.equals(req.user.userId);
+    if (!isSender && !isModerator(group, req.user.userId)) {
+      return res.status(403).json({ error: 'Not authorized to view the edit history' });
+    }
+
+    const { editHistory } = await Message.findById(message._id).select('+editHistory');
+
+    // History entries are serialized like messages so e2e ones stay ciphertext
+    const versions = await Promise.all(editHistory.map(async entry => {
+      const { _id, sender, createdAt, editedAt, ...version } = await serializeMessage(group, {
+        ...entry.toObject(),
+        _id: message._id
+      });
+      return { ...version, replacedAt: editedAt };
+    }));
+
+    res.json({ _id: message._id, versions });
+  } catch (error) {
+    console.error('Error getting edit history:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Loads a group and one of its messages for a member, from
+// /groups/:groupId/messages/:messageId style routes
+const loadGroupMessage = async (req, res) => {
+  const group = await Group.findById(req.params.groupId);
+  if (!group) {
+    res.status(404).json({ error: 'Group not found' });
+    return {};
+  }
+
+  if (!group.members.includes(req.user.userId)) {
+    res.status(403).json({ error: 'Not a member of this group' });
+    return {};
+  }
+
+  const messageId = req.params.messageId || req.body?.messageId;
+  const message = mongoose.isValidObjectId(messageId) &&
+    await Message.findOne({ _id: messageId, group: group._id }).select('sender createdAt');
+  if (!message) {
+    res.status(404).json({ error: 'Message not found' });
+    return {};
+  }
+
+  return { group, message };
+};
+
+// POST /groups/:groupId/read
+const markRead = async (req, res) => {
+  try {
+    const { group, message } = await loadGroupMessage(req, res);
+    if (!message) return;
+
+    const marker = await readMarkerService.markRead(group._id, req.user.userId, message);
+
+    if (marker) {
+      realtimeService.publishEvent(group._id, 'receipt.updated', {
+        userId: req.user.userId.toString(),
+        messageId: message._id.toString(),
+        readAt: marker.updatedAt
+      });
+    }
+
+    const [unreadCount] = (await readMarkerService.unreadCounts(req.user.userId, [group._id])).values();
+
+    res.json({ lastReadMessage: message._id, updated: !!marker, unreadCount });
+  } catch (error) {
+    console.error('Error marking messages read:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// GET /groups/:groupId/messages/:messageId/receipts
+// Only current members other than the sender are listed
+const getReceipts = async (req, res) => {
+  try {
+    const { group, message } = await loadGroupMessage(req, res);
+    if (!message) return;
+
+    const recipients = group.members.filter(memberId => !memberId.equals(message.sender));
+    const markers = await readMarkerService.readersOf(group._id, message, recipients);
+
+    const readBy = markers
+      .filter(marker => marker.user)
+      .map(marker => ({ user: marker.user, readAt: marker.updatedAt }));
+
+    res.json({
+      messageId: message._id,
+      readBy,
+      readCount: readBy.length,
+      unreadCount: recipients.length - readBy.length
+    });
+  } catch (error) {
+    console.error('Error getting read receipts:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// GET /messages/:id/attachments/:attachmentId
+// The whole file is decrypted before anything is sent: GCM only
+// authenticates once all of it has been read, and unauthenticated bytes
+// must never reach the client.
+const downloadAttachment = async (req, res) => {
+  try {
+    const { message, group } = await loadMessageForMember(req, res, '+encryptionKey +keyHistory');
+    if (!message) return;
+
+    const attachment = !message.deletedAt && mongoose.isValidObjectId(req.params.attachmentId) &&
+      message.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    let data;
+    try {
+      data = await attachmentService.readFile(group, message._id, attachment);
+    } catch (error) {
+      console.error(`Could not read attachment ${attachment._id}:`, error.message);
+      return res.status(502).json({ error: 'Attachment could not be read or failed its integrity check' });
+    }
+
+    // e2e files are ciphertext; their declared type only applies once decrypted
+    const contentType = attachment.algorithm === 'e2e' ? 'application/octet-stream' : attachment.mimeType;
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Length': data.length,
+      'Cache-Control': 'private, no-store'
+    });
+    res.attachment(attachment.filename);
+    res.end(data);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Validates the :emoji route parameter, or sends the error response and returns null
+const readEmoji = (req, res) => {
+  const emoji = (req.params.emoji || '').normalize('NFC');
+  if (!emoji || emoji.length > MAX_EMOJI_LENGTH || !EMOJI_PATTERN.test(emoji) || /^[\d#*]+$/.test(emoji)) {
+    res.status(400).json({ error: 'Reaction must be an emoji' });
+    return null;
+  }
+  return emoji;
+};
+
+// POST /messages/:id/reactions/:emoji
+const addReaction = async (req, res) => {
+  try {
+    const emoji = readEmoji(req, res);
+    if (!emoji) return;
+
+    const { message, group } = await loadMessageForMember(req, res);
+    if (!message) return;
+
+    if (message.deletedAt) {
+      return res.status(400).json({ error: 'Cannot react to a deleted message' });
+    }
+
+    // Upserting makes reacting twice with the same emoji a no-op
+    const result = await Reaction.updateOne(
+      { message: message._id, user: req.user.userId, emoji },
+      { $setOnInsert: { group: group._id, createdAt: new Date() } },
+      { upsert: true }
+    );
+
+    const added = result.upsertedCount > 0;
+    if (added) {
+      realtimeService.publishEvent(group._id, 'reaction.added', {
+        messageId: message._id.toString(),
+        emoji,
+        userId: req.user.userId.toString()
+      });
+    }
+
+    res.status(added ? 201 : 200).json({ messageId: message._id, emoji, reactedByMe: true });
+  } catch (error) {
+    // Two identical concurrent upserts can both miss and race on the unique index
+    if (error.code === 11000) {
+      return res.json({ messageId: req.params.id, emoji: req.params.emoji, reactedByMe: true });
+    }
+    console.error('Error adding reaction:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// DELETE /messages/:id/reactions/:emoji
+const removeReaction = async (req, res) => {
+  try {
+    const emoji = readEmoji(req, res);
+    if (!emoji) return;
+
+    const { message, group } = await loadMessageForMember(req, res);
+    if (!message) return;
+
+    const result = await Reaction.deleteOne({ message: message._id, user: req.user.userId, emoji });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Reaction not found' });
+    }
+
+    realtimeService.publishEvent(group._id, 'reaction.removed', {
+      messageId: message._id.toString(),
+      emoji,
+      userId: req.user.userId.toString()
+    });
+
+    res.json({ messageId: message._id, emoji, reactedByMe: false });
+  } catch (error) {
+    console.error('Error removing reaction:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// GET /messages/:id/reactions
+// Lists who reacted with what. Users who have since left the group are
+// still listed, flagged with member: false.
+const getReactions = async (req, res) => {
+  try {
+    const { message, group } = await loadMessageForMember(req, res);
+    if (!message) return;
+
+    const reactions = await Reaction.find({ message: message._id })
+      .sort({ createdAt: 1 })
+      .populate('user', User.PUBLIC_PROFILE_FIELDS);
+
+    const byEmoji = new Map();
+    for (const reaction of reactions) {
+      if (!byEmoji.has(reaction.emoji)) byEmoji.set(reaction.emoji, []);
+      const userId = reaction.user ? reaction.user._id : null;
+      byEmoji.get(reaction.emoji).push({
+        user: reaction.user,
+        member: !!userId && group.members.some(memberId => memberId.equals(userId)),
+        reactedAt: reaction.createdAt
+      });
+    }
+
+    res.json({
+      messageId: message._id,
+      reactions: [...byEmoji].map(([emoji, users]) => ({ emoji, count: users.length, users }))
+    });
+  } catch (error) {
+    console.error('Error getting reactions:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  sendMessage,
+  getMessages,
+  searchMessages,
+  getMentions,
+  pinMessage,
+  unpinMessage,
+  getPins,
+  getThread,
+  markRead,
+  getReceipts,
+  editMessage,
+  deleteMessage,
+  getEditHistory,
+  downloadAttachment,
+  addReaction,
+  removeReaction,
+  getReactions
+};
\ No newline at end of file
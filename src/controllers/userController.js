@@ -1,5 +1,16 @@
+const crypto = require('crypto');
 const User = require('../models/User');
 const Group = require('../models/Group');
+const Session = require('../models/Session');
+const sessionService = require('../services/sessionService');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const readMarkerService = require('../services/readMarkerService');
+const blockService = require('../services/blockService');
+const storageService = require('../services/storageService');
+
+const PROFILE_FIELDS = ['displayName', 'firstName', 'lastName', 'bio', 'timezone', 'status'];
+const AVATAR_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
 
 const getCurrentUser = async (req, res) => {
   try {
@@ -11,22 +22,156 @@ const getCurrentUser = async (req, res) => {
   }
 };
 
+// PATCH /users/me
+// Omitted fields are left alone; null clears a field
+const updateProfile = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const $set = {};
+    const $unset = {};
+    for (const field of PROFILE_FIELDS) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+
+      if (value === null || value === '') {
+        $unset[field] = 1;
+      } else if (field === 'status') {
+        $set.status = { text: value.text, emoji: value.emoji, expiresAt: value.expiresAt };
+      } else {
+        $set[field] = value;
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { $set, $unset },
+      { new: true, runValidators: true }
+    ).select('-password');
+    res.json(user);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating profile:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// POST /users/me/avatar
+// Avatars are shown to every signed-in user, so unlike attachments they are
+// stored as-is
+const uploadAvatar = async (req, res) => {
+  try {
+    const file = req.file;
+    if (!file) {
+      return res.status(400).json({ error: 'An avatar image is required' });
+    }
+
+    if (!AVATAR_TYPES.includes(file.mimetype)) {
+      return res.status(400).json({ error: `Avatar must be one of ${AVATAR_TYPES.join(', ')}` });
+    }
+
+    const storageKey = `avatars/${req.user.userId}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await storageService.put(storageKey, file.buffer);
+
+    const previous = await User.findByIdAndUpdate(req.user.userId, {
+      avatar: { storageKey, mimeType: file.mimetype, size: file.size, updatedAt: new Date() }
+    }).select('avatar');
+
+    if (previous?.avatar?.storageKey) {
+      await storageService.remove([previous.avatar.storageKey]);
+    }
+
+    const user = await User.findById(req.user.userId).select('-password');
+    res.json(user);
+  } catch (error) {
+    console.error('Error uploading avatar:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// DELETE /users/me/avatar
+const removeAvatar = async (req, res) => {
+  try {
+    const previous = await User.findByIdAndUpdate(req.user.userId, { $unset: { avatar: 1 } }).select('avatar');
+    if (!previous?.avatar?.storageKey) {
+      return res.status(404).json({ error: 'No avatar set' });
+    }
+
+    await storageService.remove([previous.avatar.storageKey]);
+    res.json({ message: 'Avatar removed' });
+  } catch (error) {
+    console.error('Error removing avatar:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// GET /users/:id/avatar
+const getAvatar = async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id) &&
+      await User.findById(req.params.id).select('avatar');
+    if (!user?.avatar?.storageKey) {
+      return res.status(404).json({ error: 'Avatar not found' });
+    }
+
+    const data = await storageService.get(user.avatar.storageKey);
+
+    // The URL changes with every upload (?v=), so it can be cached for long.
+    // Avatars are public and meant for <img> tags on other origins.
+    res.set({
+      'Content-Type': user.avatar.mimeType,
+      'Content-Length': data.length,
+      'Cache-Control': 'public, max-age=86400',
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.end(data);
+  } catch (error) {
+    console.error('Error getting avatar:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 const getUserGroups = async (req, res) => {
   try {
     const groups = await Group.find({ members: req.user.userId });
-    res.json(groups);
+    const unread = await readMarkerService.unreadCounts(req.user.userId, groups.map(group => group._id));
+
+    res.json(groups.map(group => ({
+      ...group.toJSON(),
+      unreadCount: unread.get(group._id.toString())
+    })));
   } catch (error) {
     console.error('Error getting user groups:', error);
     res.status(500).json({ error: 'Server error' });
   }
 };
 
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Users who opted out of search, blocked the caller or were blocked by the
+// caller are left out
 const searchUsers = async (req, res) => {
   try {
     const { q } = req.query;
+    if (typeof q !== 'string' || q.trim() === '') {
+      return res.status(400).json({ error: 'q is required' });
+    }
+
+    const excluded = await blockService.excludedFromSearch(req.user.userId);
+    const pattern = { $regex: escapeRegex(q.trim()), $options: 'i' };
     const users = await User.find({
-      email: { $regex: q, $options: 'i' }
-    }).select('email');
+      $or: [{ email: pattern }, { displayName: pattern }],
+      _id: { $nin: [...excluded, req.user.userId] },
+      'privacy.searchable': { $ne: false }
+    })
+      .select(User.PUBLIC_PROFILE_FIELDS)
+      .limit(20);
     res.json(users);
   } catch (error) {
     console.error('Error searching users:', error);
@@ -34,4 +179,153 @@ const searchUsers = async (req, res) => {
   }
 };
 
-module.exports = { getCurrentUser, getUserGroups, searchUsers };
\ No newline at end of file
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(req.user.userId);
+    res.json(sessions.map(session => ({
+      id: session._id,
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.equals(req.user.sessionId)
+    })));
+  } catch (error) {
+    console.error('Error getting sessions:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const revokeSession = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user.userId,
+      revokedAt: null
+    });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await sessionService.revokeSession(session._id, 'revoked_by_user');
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const serializePublicKey = (key) => ({
+  keyId: key.keyId,
+  publicKey: key.publicKey,
+  algorithm: key.algorithm,
+  createdAt: key.createdAt
+});
+
+const addPublicKey = async (req, res) => {
+  try {
+    const { publicKey, algorithm } = req.body;
+    if (typeof publicKey !== 'string' || !publicKey.trim() || typeof algorithm !== 'string' || !algorithm.trim()) {
+      return res.status(400).json({ error: 'publicKey and algorithm are required' });
+    }
+
+    // Default to a fingerprint so the same key always gets the same id
+    const keyId = req.body.keyId ||
+      crypto.createHash('sha256').update(publicKey.trim()).digest('hex').slice(0, 32);
+
+    const user = await User.findById(req.user.userId);
+    const existing = user.publicKeys.find(key => key.keyId === keyId && !key.revokedAt);
+    if (existing) {
+      return res.status(200).json(serializePublicKey(existing));
+    }
+
+    user.publicKeys.push({ keyId, publicKey: publicKey.trim(), algorithm: algorithm.trim() });
+    await user.save();
+
+    res.status(201).json(serializePublicKey(user.publicKeys[user.publicKeys.length - 1]));
+  } catch (error) {
+    console.error('Error adding public key:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const getPublicKeys = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('publicKeys');
+    res.json(user.publicKeys.filter(key => !key.revokedAt).map(serializePublicKey));
+  } catch (error) {
+    console.error('Error getting public keys:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const revokePublicKey = async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user.userId, publicKeys: { $elemMatch: { keyId: req.params.keyId, revokedAt: null } } },
+      { $set: { 'publicKeys.$.revokedAt': new Date() } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ error: 'Key not found' });
+    }
+
+    res.json({ message: 'Key revoked' });
+  } catch (error) {
+    console.error('Error revoking public key:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// PATCH /users/me/privacy
+const updatePrivacy = async (req, res) => {
+  try {
+    const update = {};
+    for (const field of ['searchable', 'hideBlockedMessages']) {
+      if (req.body[field] === undefined) continue;
+      if (typeof req.body[field] !== 'boolean') {
+        return res.status(400).json({ error: `${field} must be a boolean` });
+      }
+      update[`privacy.${field}`] = req.body[field];
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.userId, { $set: update }, { new: true }).select('privacy');
+    res.json(user.privacy);
+  } catch (error) {
+    console.error('Error updating privacy settings:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const getBlocks = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).populate('blockedUsers', User.PUBLIC_PROFILE_FIELDS);
+    res.json(user.blockedUsers);
+  } catch (error) {
+    console.error('Error getting blocked users:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  getCurrentUser,
+  updateProfile,
+  uploadAvatar,
+  removeAvatar,
+  getAvatar,
+  getUserGroups,
+  searchUsers,
+  getSessions,
+  revokeSession,
+  addPublicKey,
+  getPublicKeys,
+  revokePublicKey,
+  updatePrivacy,
+  getBlocks,
+};
\ No newline at end of file
@@ -1,16 +1,16 @@
-const jwt = require('jsonwebtoken');
+const tokenService = require('../services/tokenService');
 
-module.exports = (req, res, next) => {
+module.exports = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
   if (!token) {
     return res.status(401).json({ message: 'No token, authorization denied' });
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = { userId: decoded.userId };
-    next();
+    req.user = await tokenService.verifyAccessToken(token);
   } catch (error) {
-    res.status(401).json({ message: 'Token is not valid' });
+    return res.status(401).json({ message: 'Token is not valid' });
   }
+
+  next();
 };
\ No newline at end of file
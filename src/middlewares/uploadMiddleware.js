@@ -0,0 +1,44 @@
+const multer = require('multer');
+const { ATTACHMENT_MAX_BYTES, ATTACHMENT_MAX_FILES } = require('../services/attachmentService');
+
+const AVATAR_MAX_BYTES = parseInt(process.env.AVATAR_MAX_BYTES || String(2 * 1024 * 1024), 10);
+
+// Files are kept in memory only until they are encrypted and stored; the
+// server-wide limits here cap that memory, per-group limits are checked later
+const attachments = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: ATTACHMENT_MAX_BYTES,
+    files: ATTACHMENT_MAX_FILES
+  }
+}).array('attachments', ATTACHMENT_MAX_FILES);
+
+const avatar = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: AVATAR_MAX_BYTES,
+    files: 1
+  }
+}).single('avatar');
+
+// Turns upload limit errors into 4xx responses
+const handleErrors = (upload) => (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: error.message, field: error.field });
+    }
+
+    next(error);
+  });
+};
+
+// Parses multipart/form-data message bodies (JSON requests pass through
+// untouched)
+module.exports = handleErrors(attachments);
+
+// Parses a single image in the `avatar` field
+module.exports.avatar = handleErrors(avatar);
+module.exports.AVATAR_MAX_BYTES = AVATAR_MAX_BYTES;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A user barred from a group. A ban is active until it expires or is
+// lifted; lifted and expired bans are kept as history.
+const banSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Unset for a permanent ban
+  expiresAt: Date,
+  liftedAt: Date,
+  liftedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The banned user gets one appeal per ban
+  appeal: {
+    message: { type: String, trim: true, maxlength: 1000 },
+    submittedAt: Date,
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'rejected']
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date,
+    response: { type: String, trim: true, maxlength: 500 }
+  }
+}, { timestamps: true });
+
+banSchema.index({ group: 1, user: 1, liftedAt: 1 });
+
+// Query conditions for bans currently in force
+banSchema.statics.activeQuery = function(extra = {}) {
+  return {
+    liftedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    ...extra
+  };
+};
+
+module.exports = mongoose.model('Ban', banSchema);
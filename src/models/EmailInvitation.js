@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// An invitation to a group addressed to an email address. When nobody has
+// registered with the address yet, user is filled in once they do.
+const emailInvitationSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date
+}, { timestamps: true });
+
+// One pending invitation per address and group
+emailInvitationSchema.index(
+  { group: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+emailInvitationSchema.index({ email: 1, status: 1 });
+
+emailInvitationSchema.methods.isPending = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('EmailInvitation', emailInvitationSchema);
@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const kmsService = require('../services/kmsService');
+
+// Applies to groups created without a maxMembers, including ones that
+// predate the limit; no group may go above GROUP_MAX_MEMBERS_LIMIT
+const DEFAULT_MAX_MEMBERS = parseInt(process.env.GROUP_MAX_MEMBERS || '1000', 10);
+const MAX_MEMBERS_LIMIT = parseInt(process.env.GROUP_MAX_MEMBERS_LIMIT || '10000', 10);
 
 const groupSchema = new mongoose.Schema({
   name: {
@@ -14,6 +20,20 @@ const groupSchema = new mongoose.Schema({
     default: 'public'
   },
   description: String,
+  // direct: a 1:1 conversation between exactly two users; it has no
+  // meaningful name and its membership never changes
+  kind: {
+    type: String,
+    enum: ['group', 'direct'],
+    default: 'group',
+    immutable: true
+  },
+  // Sorted "<userId>:<userId>" of the participants, so there is only ever
+  // one direct conversation per pair
+  directKey: {
+    type: String,
+    immutable: true
+  },
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -27,13 +47,81 @@ const groupSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  maxMembers: {
+    type: Number,
+    default: DEFAULT_MAX_MEMBERS,
+    min: [2, 'maxMembers must be at least 2'],
+    max: [MAX_MEMBERS_LIMIT, `maxMembers can't exceed ${MAX_MEMBERS_LIMIT}`],
+    validate: {
+      validator: Number.isInteger,
+      message: 'maxMembers must be an integer'
+    }
+  },
+  // People waiting for a free slot, first come first served (see
+  // membershipService.admitFromWaitlist)
+  waitlist: {
+    type: [{
+      _id: false,
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      addedAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  },
+  // server: the server encrypts and decrypts messages with encryptionKey
+  // e2e: clients hold the group key; the server only relays ciphertext
+  encryptionMode: {
+    type: String,
+    enum: ['server', 'e2e'],
+    default: 'server',
+    immutable: true
+  },
+  e2e: {
+    // Version of the client-held group key that messages must be sent under
+    epoch: { type: Number, default: 0 },
+    // Set when someone left, so a fresh key has to be distributed before
+    // anyone may send again
+    rekeyRequired: { type: Boolean, default: false },
+    rekeyReason: String,
+    rekeyRequiredAt: Date
+  },
+  // Current key, wrapped with the master key (see kmsService); never
+  // returned unless explicitly selected
   encryptionKey: {
     type: String,
     required: true,
-    default: function() {
-      // Generate a random 256-bit key (32 bytes) and encode as base64
-      return crypto.randomBytes(32).toString('base64');
-    }
+    select: false
+  },
+  keyVersion: {
+    type: Number,
+    default: 1
+  },
+  keyRotatedAt: Date,
+  // Retired keys, kept so messages encrypted before a rotation stay readable
+  keyHistory: {
+    type: [{
+      _id: false,
+      version: { type: Number, required: true },
+      key: { type: String, required: true }, // wrapped, like encryptionKey
+      createdAt: Date,
+      retiredAt: { type: Date, default: Date.now },
+      retiredReason: String
+    }],
+    select: false
+  },
+  // Pinned messages, most recent last; capped at PIN_LIMIT
+  pins: [{
+    _id: false,
+    message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', required: true },
+    pinnedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    pinnedAt: { type: Date, default: Date.now }
+  }],
+  // Key for the keyed-hash search index (see searchService), wrapped like
+  // encryptionKey. It is not rotated with encryptionKey: the index would
+  // have to be rebuilt, and it never leaves the server anyway. Created on
+  // first use for groups that predate search.
+  searchKey: {
+    type: String,
+    select: false
   },
   createdAt: {
     type: Date,
@@ -41,6 +129,15 @@ const groupSchema = new mongoose.Schema({
   }
 });
 
+groupSchema.index({ directKey: 1 }, { unique: true, sparse: true });
+
+// Generate a random 256-bit key (32 bytes) and store it wrapped, never in plaintext
+groupSchema.pre('validate', async function() {
+  if (this.isNew && !this.encryptionKey) {
+    this.encryptionKey = await kmsService.wrapKey(crypto.randomBytes(32).toString('base64'));
+  }
+});
+
 // Automatically add owner as member
 groupSchema.pre('save', function(next) {
   if (!this.members.includes(this.owner)) {
@@ -52,4 +149,15 @@ groupSchema.pre('save', function(next) {
   next();
 });
 
+// Returns the stored (wrapped) key. Requires encryptionKey and keyHistory
+// to have been selected
+groupSchema.methods.keyForVersion = function(version = 1) {
+  if (version === this.keyVersion) return this.encryptionKey;
+  const entry = this.keyHistory?.find(item => item.version === version);
+  return entry ? entry.key : null;
+};
+
+groupSchema.statics.DEFAULT_MAX_MEMBERS = DEFAULT_MAX_MEMBERS;
+groupSchema.statics.MAX_MEMBERS_LIMIT = MAX_MEMBERS_LIMIT;
+
 module.exports = mongoose.model('Group', groupSchema);
\ No newline at end of file
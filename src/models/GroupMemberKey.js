@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A copy of an end-to-end group key, wrapped by a client for one member's
+// public key. The server stores and hands these out but cannot open them.
+const groupMemberKeySchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  epoch: {
+    type: Number,
+    required: true
+  },
+  wrappedKey: {
+    type: String,
+    required: true
+  },
+  // Which of the recipient's public keys the copy was wrapped for
+  recipientKeyId: {
+    type: String,
+    required: true
+  },
+  wrappedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+groupMemberKeySchema.index({ group: 1, user: 1, epoch: 1 }, { unique: true });
+
+module.exports = mongoose.model('GroupMemberKey', groupMemberKeySchema);
@@ -1,6 +1,59 @@
+const mongoose = require('mongoose');
 
 const groupSettingsSchema = new mongoose.Schema({
-  group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group' },
-  privacy: { type: String, enum: ['open', 'closed', 'cloud'], default: 'closed' },
-  allowMemberInvites: { type: Boolean, default: false }
-});
\ No newline at end of file
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true,
+    unique: true
+  },
+  // open: listed in discovery, anyone can join directly
+  // closed: listed in discovery, joining requires an approved request
+  // cloud: hidden from discovery, members can only be added by the group
+  privacy: {
+    type: String,
+    enum: ['open', 'closed', 'cloud'],
+    default: 'closed'
+  },
+  allowMemberInvites: {
+    type: Boolean,
+    default: false
+  },
+  // When the group is full, people joining an open group or approved to
+  // join a closed one queue up instead of being turned away
+  waitlistEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Only the owner and admins may send messages
+  announcementOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Unset values fall back to ATTACHMENT_MAX_BYTES / ATTACHMENT_ALLOWED_TYPES;
+  // maxBytes can never exceed the server-wide limit
+  attachments: {
+    maxBytes: {
+      type: Number,
+      min: 1
+    },
+    allowedTypes: {
+      type: [String],
+      default: undefined
+    }
+  }
+}, { timestamps: true });
+
+// Groups created before settings existed get a document derived from their type
+groupSettingsSchema.statics.forGroup = async function(group) {
+  const existing = await this.findOne({ group: group._id });
+  if (existing) return existing;
+
+  return this.findOneAndUpdate(
+    { group: group._id },
+    { $setOnInsert: { privacy: group.type === 'public' ? 'open' : 'closed' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('GroupSettings', groupSettingsSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const inviteSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true,
+    index: true
+  },
+  // Random, URL-safe; whoever has it can join until it expires, runs out
+  // or is revoked
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Role given to everyone who joins with this invite
+  role: {
+    type: String,
+    enum: ['member', 'admin'],
+    default: 'member'
+  },
+  expiresAt: Date,
+  // Unset means unlimited
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Audit trail of who joined through this invite
+  acceptances: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    acceptedAt: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+
+inviteSchema.methods.isUsable = function() {
+  return !this.revokedAt &&
+    (!this.expiresAt || this.expiresAt > new Date()) &&
+    (!this.maxUses || this.uses < this.maxUses);
+};
+
+module.exports = mongoose.model('Invite', inviteSchema);
@@ -11,15 +11,34 @@ const joinRequestSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // cancelled: withdrawn by the requester; expired: nobody answered in time
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
+    enum: ['pending', 'approved', 'rejected', 'cancelled', 'expired'],
     default: 'pending'
   },
+  // Optional note from the requester to the reviewers
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Optional note from the reviewer, shown to the requester
+  reviewReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
   createdAt: {
     type: Date,
     default: Date.now
   },
+  // Requests from before expiry existed count from createdAt instead
+  expiresAt: Date,
   processedAt: {
     type: Date
   }
@@ -27,5 +46,7 @@ const joinRequestSchema = new mongoose.Schema({
 
 // Prevent duplicate pending requests
 joinRequestSchema.index({ group: 1, user: 1, status: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+joinRequestSchema.index({ group: 1, status: 1, createdAt: 1 });
+joinRequestSchema.index({ user: 1, createdAt: -1 });
 
 module.exports = mongoose.model('JoinRequest', joinRequestSchema);
\ No newline at end of file
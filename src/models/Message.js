@@ -11,18 +11,111 @@ const messageSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Both are cleared when a message is deleted, leaving a tombstone, and
+  // may be absent on a message that is only attachments
   encryptedContent: {
     type: String,
-    required: true
+    required: function() { return !this.deletedAt && this.attachments.length === 0; }
   },
   iv: {
     type: String,
-    required: true
+    required: function() { return !!this.encryptedContent; }
+  },
+  // Version of the group key the content was encrypted with
+  keyVersion: {
+    type: Number,
+    default: 1
+  },
+  // Messages without an algorithm predate authenticated encryption; e2e
+  // messages hold client-produced ciphertext the server cannot read
+  algorithm: {
+    type: String,
+    enum: ['aes-256-cbc', 'aes-256-gcm', 'e2e'],
+    default: 'aes-256-cbc'
+  },
+  // GCM authentication tag (hex), absent for legacy CBC messages; opaque
+  // client value for e2e messages
+  authTag: String,
+  // Set on replies: the message replied to, and the first message of the thread
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  threadRoot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
   },
+  // Maintained on thread roots only
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  lastReplyAt: Date,
+  // Files live in the storage driver, encrypted like the content; only
+  // their metadata is kept here
+  attachments: [{
+    filename: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    storageKey: { type: String, required: true },
+    algorithm: {
+      type: String,
+      enum: ['aes-256-gcm', 'e2e'],
+      required: true
+    },
+    iv: String,
+    authTag: String,
+    keyVersion: Number
+  }],
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  editedAt: Date,
+  // Previous versions, still encrypted exactly as they were stored
+  editHistory: {
+    type: [{
+      _id: false,
+      encryptedContent: { type: String, required: true },
+      iv: { type: String, required: true },
+      authTag: String,
+      algorithm: String,
+      keyVersion: Number,
+      editedAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  },
+  // Members mentioned by @handle/@email, and whether @everyone or @admins
+  // was used; resolved when the message is sent or edited
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  mentionsEveryone: {
+    type: Boolean,
+    default: false
+  },
+  mentionsAdmins: {
+    type: Boolean,
+    default: false
+  },
+  // Keyed hashes of the words in the content (see searchService); server
+  // encrypted groups only, cleared on delete
+  searchTokens: {
+    type: [String],
+    select: false
+  },
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 });
 
+// Serves cursor pagination: every page is a range scan on this index
+messageSchema.index({ group: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ threadRoot: 1, createdAt: -1, _id: -1 }, { sparse: true });
+messageSchema.index({ group: 1, searchTokens: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ mentions: 1, createdAt: -1, _id: -1 });
+
 module.exports = mongoose.model('Message', messageSchema);
\ No newline at end of file
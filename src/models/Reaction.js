@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One emoji reaction by one user. Kept when the user leaves or is removed
+// from the group so existing reactions stay attributed to them.
+const reactionSchema = new mongoose.Schema({
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  emoji: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reactionSchema.index({ message: 1, user: 1, emoji: 1 }, { unique: true });
+
+module.exports = mongoose.model('Reaction', reactionSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// How far a user has read in a group. Positions compare on (createdAt, _id),
+// the same order messages are paginated in.
+const readMarkerSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastReadMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  // createdAt of lastReadMessage
+  lastReadAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+readMarkerSchema.index({ group: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReadMarker', readMarkerSchema);
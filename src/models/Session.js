@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the current refresh token; rotated on every refresh
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the refresh token the last rotation replaced. Seeing it again
+  // means the token was copied, which tells reuse apart from a bad guess.
+  previousRefreshTokenHash: {
+    type: String,
+    select: false
+  },
+  deviceName: String,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String
+}, { timestamps: true });
+
+// Expired sessions are cleaned up by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
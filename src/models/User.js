@@ -17,9 +17,101 @@ const userSchema = new mongoose.Schema({
   joinedGroups: [{ 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'Group' 
+  }],
+  // Profile, shown to other users (see PUBLIC_PROFILE_FIELDS)
+  displayName: { type: String, trim: true, maxlength: 64 },
+  firstName: { type: String, trim: true, maxlength: 64 },
+  lastName: { type: String, trim: true, maxlength: 64 },
+  bio: { type: String, trim: true, maxlength: 500 },
+  // IANA zone name, e.g. Africa/Lagos
+  timezone: {
+    type: String,
+    validate: {
+      validator: (zone) => {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: zone });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Unknown timezone'
+    }
+  },
+  status: {
+    text: { type: String, trim: true, maxlength: 140 },
+    emoji: { type: String, maxlength: 32 },
+    // The status disappears after this time, if set
+    expiresAt: Date
+  },
+  // Stored through the storage driver; served by GET /api/users/:id/avatar
+  avatar: {
+    storageKey: String,
+    mimeType: String,
+    size: Number,
+    updatedAt: Date
+  },
+  // Users this user has blocked. Either side blocking stops direct
+  // messages and adding one another to groups.
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  privacy: {
+    // Appear in user search
+    searchable: { type: Boolean, default: true },
+    // Leave messages from blocked users out of message lists
+    hideBlockedMessages: { type: Boolean, default: true }
+  },
+  // Public keys registered by the user's devices for end-to-end encrypted
+  // groups; the matching private keys never leave the client
+  publicKeys: [{
+    keyId: { type: String, required: true },
+    publicKey: { type: String, required: true },
+    algorithm: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+    revokedAt: Date
   }]
 }, { timestamps: true });
 
+// Fields other users may see; use this in every populate/select of users
+// shown to someone else
+const PUBLIC_PROFILE_FIELDS = 'email displayName firstName lastName avatar status';
+
+// Replaces the stored avatar with a URL and drops an expired status. Takes
+// plain objects: toJSON output or lean query results.
+const toPublicProfile = (user) => {
+  if (!user || typeof user !== 'object' || !user._id) return user;
+  const profile = { ...user };
+  delete profile.password;
+
+  if ('avatar' in profile) {
+    profile.avatarUrl = profile.avatar?.storageKey
+      ? `/api/users/${profile._id}/avatar?v=${new Date(profile.avatar.updatedAt).getTime()}`
+      : null;
+    delete profile.avatar;
+  }
+
+  if (profile.status?.expiresAt && new Date(profile.status.expiresAt) <= new Date()) {
+    profile.status = null;
+  }
+
+  return profile;
+};
+
+userSchema.set('toJSON', {
+  transform: (doc, ret) => toPublicProfile(ret)
+});
+
+userSchema.statics.PUBLIC_PROFILE_FIELDS = PUBLIC_PROFILE_FIELDS;
+userSchema.statics.toPublicProfile = toPublicProfile;
+
+userSchema.methods.getDisplayName = function() {
+  return this.displayName ||
+    [this.firstName, this.lastName].filter(Boolean).join(' ') ||
+    this.email;
+};
+
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
@@ -1,8 +1,7 @@
 const express = require('express');
 const { check } = require('express-validator');
 const authController = require('../controllers/authController');
-const bcrypt = require('bcryptjs');
-const User = require('../models/User'); 
+const authMiddleware = require('../middlewares/authMiddleware');
 
 const router = express.Router();
 
@@ -37,9 +36,16 @@ const router = express.Router();
  *                 type: string
  *                 minLength: 8
  *                 example: securePassword123
+ *               deviceName:
+ *                 type: string
+ *                 description: Optional label shown in the session list
+ *                 example: Pixel 8
+ *               invitationToken:
+ *                 type: string
+ *                 description: Token from a group invitation email; joins that group when it was sent to this email address
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully, returns an access token and a refresh token (and joinedGroup when an invitation was redeemed)
  *       400:
  *         description: Validation error
  *       500:
@@ -75,9 +81,12 @@ router.post(
  *                 format: email
  *               password:
  *                 type: string
+ *               deviceName:
+ *                 type: string
+ *                 description: Optional label shown in the session list
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, returns an access token and a refresh token
  *       401:
  *         description: Invalid credentials
  *       500:
@@ -92,27 +101,168 @@ router.post(
   authController.login
 );
 
-// Add this temporary route to authRoutes.js
-router.post('/force-password-reset', async (req, res) => {
-  const { email, newPassword } = req.body;
-  
-  try {
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access/refresh token pair
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New tokens issued; the old refresh token can no longer be used
+ *       400:
+ *         description: Refresh token missing
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ */
+router.post('/refresh', authController.refresh);
 
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(newPassword.trim(), salt);
-    await user.save();
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoke the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', authMiddleware, authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Revoke every session of the current user ("log out everywhere")
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', authMiddleware, authController.logoutAll);
 
-    res.json({ 
-      message: 'Password reset successful',
-      newHash: user.password // Return the new hash for verification
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Reset failed', error: error.message });
-  }
-});
+/**
+ * @swagger
+ * /api/auth/password/forgot:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Always returned, whether or not the account exists
+ *       400:
+ *         description: Validation error
+ */
+router.post(
+  '/password/forgot',
+  [check('email', 'Please include a valid email').isEmail()],
+  authController.forgotPassword
+);
+
+/**
+ * @swagger
+ * /api/auth/password/reset:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password reset; all existing sessions are revoked
+ *       400:
+ *         description: Token invalid, expired or already used
+ */
+router.post(
+  '/password/reset',
+  [
+    check('token', 'Reset token is required').not().isEmpty(),
+    check('newPassword', 'Password must be at least 8 characters').trim().isLength({ min: 8 })
+  ],
+  authController.resetPassword
+);
+
+/**
+ * @swagger
+ * /api/auth/password/change:
+ *   post:
+ *     summary: Change password using the current password
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password changed; other sessions are revoked
+ *       401:
+ *         description: Current password is incorrect
+ */
+router.post(
+  '/password/change',
+  [
+    authMiddleware,
+    check('currentPassword', 'Current password is required').not().isEmpty(),
+    check('newPassword', 'Password must be at least 8 characters').trim().isLength({ min: 8 })
+  ],
+  authController.changePassword
+);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,113 @@
+const express = require('express');
+const conversationController = require('../controllers/conversationController');
+const authMiddleware = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Conversations
+ *   description: Direct (1:1) conversations
+ */
+
+/**
+ * @swagger
+ * /api/conversations/direct:
+ *   get:
+ *     summary: List the current user's direct conversations
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Conversations, newest first, with the other participant and an unread count
+ */
+router.get('/direct', authMiddleware, conversationController.listDirect);
+
+/**
+ * @swagger
+ * /api/conversations/direct/{userId}:
+ *   post:
+ *     summary: Open a direct conversation with a user
+ *     description: Returns the existing conversation with the user, or creates it. Send and read messages through /api/groups/{id}/messages using the returned id.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 60a7b9bfe6f12c001c8e4ba0
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               encryptionMode:
+ *                 type: string
+ *                 enum: [server, e2e]
+ *                 description: Only used when the conversation is created
+ *     responses:
+ *       200:
+ *         description: Existing conversation
+ *       201:
+ *         description: Conversation created
+ *       400:
+ *         description: Invalid user ID, or your own ID
+ *       403:
+ *         description: One of you has blocked the other
+ *       404:
+ *         description: User not found
+ */
+router.post('/direct/:userId', authMiddleware, conversationController.openDirect);
+
+/**
+ * @swagger
+ * /api/conversations/direct/{userId}/block:
+ *   post:
+ *     summary: Block a user
+ *     description: Neither user can open a conversation with or message the other until the block is lifted. Existing history is kept.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User blocked
+ *       400:
+ *         description: Invalid user ID, or your own ID
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     summary: Unblock a user
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unblocked (also when they weren't blocked)
+ *       400:
+ *         description: Invalid user ID, or your own ID
+ *       404:
+ *         description: User not found
+ */
+router.post('/direct/:userId/block', authMiddleware, conversationController.blockUser);
+router.delete('/direct/:userId/block', authMiddleware, conversationController.unblockUser);
+
+module.exports = router;
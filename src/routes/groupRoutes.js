@@ -1,8 +1,14 @@
 const express = require('express');
-const { check } = require('express-validator');
+const { body, check } = require('express-validator');
 const groupController = require('../controllers/groupController');
+const messageController = require('../controllers/messageController');
+const e2eController = require('../controllers/e2eController');
+const inviteController = require('../controllers/inviteController');
 const authMiddleware = require('../middlewares/authMiddleware');
 const checkRole = require('../middlewares/roleMiddleware');
+const uploadMiddleware = require('../middlewares/uploadMiddleware');
+const { ATTACHMENT_MAX_BYTES } = require('../services/attachmentService');
+const { MAX_MEMBERS_LIMIT } = require('../models/Group');
 
 const router = express.Router();
 
@@ -124,7 +130,30 @@ const router = express.Router();
  *                 example: Group for yoga
  *               maxMembers:
  *                 type: integer
+ *                 minimum: 2
+ *                 description: Defaults to GROUP_MAX_MEMBERS; can't exceed GROUP_MAX_MEMBERS_LIMIT
  *                 example: 100
+ *               privacy:
+ *                 type: string
+ *                 enum: [open, closed, cloud]
+ *                 description: Defaults to open for public groups and closed for private ones; overrides type when given
+ *                 example: closed
+ *               allowMemberInvites:
+ *                 type: boolean
+ *                 example: false
+ *               announcementOnly:
+ *                 type: boolean
+ *                 description: Only the owner and admins can send messages
+ *                 example: false
+ *               waitlistEnabled:
+ *                 type: boolean
+ *                 description: Queue people up when the group is full instead of turning them away
+ *                 example: false
+ *               encryptionMode:
+ *                 type: string
+ *                 enum: [server, e2e]
+ *                 description: e2e groups keep keys on clients; the server only stores ciphertext. Cannot be changed later.
+ *                 example: server
  *     responses:
  *       201:
  *         description: Group created successfully
@@ -142,7 +171,15 @@ router.post(
   [
     authMiddleware,
     check('name', 'Group name is required').not().isEmpty(),
-    check('type', 'Group type must be public or private').isIn(['public', 'private'])
+    check('type', 'Group type must be public or private').isIn(['public', 'private']),
+    check('privacy', 'Privacy must be open, closed or cloud').optional().isIn(['open', 'closed', 'cloud']),
+    check('allowMemberInvites', 'allowMemberInvites must be a boolean').optional().isBoolean({ strict: true }),
+    check('announcementOnly', 'announcementOnly must be a boolean').optional().isBoolean({ strict: true }),
+    check('waitlistEnabled', 'waitlistEnabled must be a boolean').optional().isBoolean({ strict: true }),
+    check('maxMembers', `maxMembers must be an integer between 2 and ${MAX_MEMBERS_LIMIT}`)
+      .optional()
+      .isInt({ min: 2, max: MAX_MEMBERS_LIMIT }),
+    check('encryptionMode', 'Encryption mode must be server or e2e').optional().isIn(['server', 'e2e'])
   ],
   groupController.createGroup
 );
@@ -151,7 +188,7 @@ router.post(
  * @swagger
  * /api/groups/discover:
  *   get:
- *     summary: Discover public groups
+ *     summary: Discover open and closed groups (cloud groups are never listed)
  *     tags: [Groups]
  *     parameters:
  *       - in: query
@@ -162,7 +199,7 @@ router.post(
  *         example: yoga
  *     responses:
  *       200:
- *         description: List of discoverable groups
+ *         description: Discoverable groups with their name, description, privacy, memberCount and createdAt
  *         content:
  *           application/json:
  *             schema:
@@ -222,15 +259,34 @@ router.get('/:id/members', authMiddleware, groupController.listMembers);
  *           type: string
  *         description: Group ID
  *         example: 507f1f77bcf86cd799439011
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Optional note to the reviewers (closed groups)
  *     responses:
  *       200:
- *         description: Joined group successfully
+ *         description: Joined group successfully (open groups) or join request sent (closed groups)
+ *       202:
+ *         description: The group is full and has a waitlist; returns waitlistPosition
+ *       400:
+ *         description: Already a member, or the group is full
  *       403:
  *         description: Not allowed to join
  *       404:
  *         description: Group not found
  */
-router.post('/:id/join', authMiddleware, groupController.joinGroup);
+router.post(
+  '/:id/join',
+  [authMiddleware, check('message', 'Message must be at most 500 characters').optional().isString().isLength({ max: 500 })],
+  groupController.joinGroup
+);
 
 /**
  * @swagger
@@ -248,7 +304,7 @@ router.post('/:id/join', authMiddleware, groupController.joinGroup);
  *           type: string
  *     responses:
  *       200:
- *         description: Group details
+ *         description: Group details. Non-members only get name, description, settings.privacy, memberCount, createdAt, userRole and joinRequestStatus.
  *         content:
  *           application/json:
  *             schema:
@@ -346,23 +402,46 @@ router.post('/:id/transfer', authMiddleware, checkRole(['owner']), groupControll
  *               name:
  *                 type: string
  *                 example: Updated Group Name
- *               type:
- *                 type: string
- *                 enum: [public, private]
- *                 example: private
  *               description:
  *                 type: string
  *                 example: Updated group description
+ *               privacy:
+ *                 type: string
+ *                 enum: [open, closed, cloud]
+ *                 description: open groups can be joined directly, closed groups need an approved request, cloud groups are hidden and invitation-only
+ *                 example: closed
+ *               attachments:
+ *                 type: object
+ *                 description: Attachment limits for the group; null resets a value to the server default
+ *                 properties:
+ *                   maxBytes:
+ *                     type: integer
+ *                     description: Capped at ATTACHMENT_MAX_BYTES
+ *                     example: 5242880
+ *                   allowedTypes:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     example: ["image/*", "application/pdf"]
+ *               allowMemberInvites:
+ *                 type: boolean
+ *                 description: Let ordinary members add people to the group
+ *                 example: true
+ *               announcementOnly:
+ *                 type: boolean
+ *                 description: Only the owner and admins can send messages
+ *                 example: false
  *               maxMembers:
  *                 type: integer
- *                 example: 150
+ *                 description: Can't be lower than the current member count; raising it admits people from the waitlist
+ *                 example: 200
+ *               waitlistEnabled:
+ *                 type: boolean
+ *                 description: Turning it off clears the waitlist
+ *                 example: true
  *     responses:
  *       200:
  *         description: Settings updated successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Group'
  *       400:
  *         description: Invalid settings
  *       403:
@@ -372,15 +451,35 @@ router.post('/:id/transfer', authMiddleware, checkRole(['owner']), groupControll
  */
 router.patch(
   '/:id/settings',
-  [authMiddleware, checkRole(['owner', 'admin'])],
+  [
+    authMiddleware,
+    checkRole(['owner', 'admin']),
+    check('name', 'Group name cannot be empty').optional().trim().not().isEmpty(),
+    check('description', 'Description must be a string').optional().isString(),
+    check('privacy', 'Privacy must be open, closed or cloud').optional().isIn(['open', 'closed', 'cloud']),
+    check('allowMemberInvites', 'allowMemberInvites must be a boolean').optional().isBoolean({ strict: true }),
+    check('announcementOnly', 'announcementOnly must be a boolean').optional().isBoolean({ strict: true }),
+    check('waitlistEnabled', 'waitlistEnabled must be a boolean').optional().isBoolean({ strict: true }),
+    check('maxMembers', `maxMembers must be an integer between 2 and ${MAX_MEMBERS_LIMIT}`)
+      .optional()
+      .isInt({ min: 2, max: MAX_MEMBERS_LIMIT }),
+    check('attachments.maxBytes', `attachments.maxBytes must be between 1 and ${ATTACHMENT_MAX_BYTES}`)
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: ATTACHMENT_MAX_BYTES }),
+    check('attachments.allowedTypes', 'attachments.allowedTypes must be an array of MIME types')
+      .optional({ values: 'null' })
+      .isArray(),
+    check('attachments.allowedTypes.*', 'Invalid MIME type').matches(/^[\w.+-]+\/(\*|[\w.+-]+)$/)
+  ],
   groupController.updateSettings
 );
 
 /**
  * @swagger
- * /api/groups/{id}/request-join:
+ * /api/groups/{id}/keys/rotate:
  *   post:
- *     summary: Request to join a private group
+ *     summary: Rotate the group encryption key (Owner/Admin only)
+ *     description: New messages are encrypted with the new key; earlier keys are kept in the key history so older messages stay readable. Keys are also rotated automatically whenever a member leaves, is removed or is banished.
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -394,19 +493,20 @@ router.patch(
  *         example: 507f1f77bcf86cd799439011
  *     responses:
  *       200:
- *         description: Join request submitted
- *       400:
- *         description: Already requested or member
+ *         description: Key rotated, returns the new key version
+ *       403:
+ *         description: Not authorized
  *       404:
  *         description: Group not found
  */
-router.post('/:id/request-join', authMiddleware, groupController.requestJoinPrivateGroup);
+router.post('/:id/keys/rotate', [authMiddleware, checkRole(['owner', 'admin'])], groupController.rotateKey);
 
 /**
  * @swagger
- * /api/groups/{id}/join-requests/{userId}/approve:
- *   post:
- *     summary: Approve a join request (Owner only)
+ * /api/groups/{id}/e2e:
+ *   get:
+ *     summary: Get the end-to-end key state of a group
+ *     description: Current key epoch, whether a new key must be distributed, and each member's public keys along with whether they hold a copy of the current key.
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -416,30 +516,24 @@ router.post('/:id/request-join', authMiddleware, groupController.requestJoinPriv
  *         required: true
  *         schema:
  *           type: string
- *         description: Group ID
- *         example: 507f1f77bcf86cd799439011
- *       - in: path
- *         name: userId
- *         required: true
- *         schema:
- *           type: string
- *         description: User ID to approve
- *         example: 60a7b9bfe6f12c001c8e4b9f
  *     responses:
  *       200:
- *         description: Join request approved
+ *         description: Key state
+ *       400:
+ *         description: Group is not end-to-end encrypted
  *       403:
- *         description: Not authorized
+ *         description: Not a member of the group
  *       404:
- *         description: Group or request not found
+ *         description: Group not found
  */
-router.post('/:id/join-requests/:userId/approve', [authMiddleware, checkRole(['owner'])], groupController.approveJoinRequest);
+router.get('/:id/e2e', authMiddleware, e2eController.getKeyState);
 
 /**
  * @swagger
- * /api/groups/{id}/join-requests/{userId}/decline:
- *   post:
- *     summary: Decline a join request (Owner only)
+ * /api/groups/{id}/e2e/keys:
+ *   put:
+ *     summary: Distribute wrapped copies of the group key to members
+ *     description: Use epoch = current + 1 to start a new key (must include every member; required after someone leaves). Use epoch = current to hand the current key to members who lack it, e.g. new joiners.
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -449,30 +543,45 @@ router.post('/:id/join-requests/:userId/approve', [authMiddleware, checkRole(['o
  *         required: true
  *         schema:
  *           type: string
- *         description: Group ID
- *         example: 507f1f77bcf86cd799439011
- *       - in: path
- *         name: userId
- *         required: true
- *         schema:
- *           type: string
- *         description: User ID to decline
- *         example: 60a7b9bfe6f12c001c8e4b9f
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - epoch
+ *               - keys
+ *             properties:
+ *               epoch:
+ *                 type: integer
+ *                 example: 2
+ *               keys:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                     recipientKeyId:
+ *                       type: string
+ *                     wrappedKey:
+ *                       type: string
  *     responses:
  *       200:
- *         description: Join request declined
- *       403:
- *         description: Not authorized
- *       404:
- *         description: Group or request not found
+ *         description: Missing copies stored; skipped lists members who already had a copy for the epoch, which is never overwritten
+ *       400:
+ *         description: Invalid recipients or a member is missing from a new epoch
+ *       409:
+ *         description: Stale epoch, or a new epoch is required
  */
-router.post('/:id/join-requests/:userId/decline', [authMiddleware, checkRole(['owner'])], groupController.declineJoinRequest);
+router.put('/:id/e2e/keys', authMiddleware, e2eController.distributeKeys);
 
 /**
  * @swagger
- * /api/groups/{id}/banish/{userId}:
- *   post:
- *     summary: Banish a user from group (Owner only)
+ * /api/groups/{id}/e2e/keys/me:
+ *   get:
+ *     summary: Get the caller's wrapped copies of the group key, for every epoch
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -482,30 +591,19 @@ router.post('/:id/join-requests/:userId/decline', [authMiddleware, checkRole(['o
  *         required: true
  *         schema:
  *           type: string
- *         description: Group ID
- *         example: 507f1f77bcf86cd799439011
- *       - in: path
- *         name: userId
- *         required: true
- *         schema:
- *           type: string
- *         description: User ID to banish
- *         example: 60a7b9bfe6f12c001c8e4b9f
  *     responses:
  *       200:
- *         description: User banished successfully
+ *         description: Wrapped keys, newest epoch first
  *       403:
- *         description: Not authorized
- *       404:
- *         description: Group or user not found
+ *         description: Not a member of the group
  */
-router.post('/:id/banish/:userId', [authMiddleware, checkRole(['owner'])], groupController.banishUser);
+router.get('/:id/e2e/keys/me', authMiddleware, e2eController.getMyKeys);
 
 /**
  * @swagger
- * /api/groups/{id}/messages:
+ * /api/groups/{id}/request-join:
  *   post:
- *     summary: Send a message to group
+ *     summary: Request to join a closed group
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -518,36 +616,37 @@ router.post('/:id/banish/:userId', [authMiddleware, checkRole(['owner'])], group
  *         description: Group ID
  *         example: 507f1f77bcf86cd799439011
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - content
  *             properties:
- *               content:
+ *               message:
  *                 type: string
- *                 example: Hello everyone!
+ *                 maxLength: 500
+ *                 description: Optional note to the reviewers
+ *     description: Pending requests expire after JOIN_REQUEST_TTL_DAYS (default 30) if nobody reviews them.
  *     responses:
- *       201:
- *         description: Message sent successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Message'
- *       403:
- *         description: Not a member of the group
+ *       200:
+ *         description: Join request submitted
+ *       400:
+ *         description: Already requested or member
  *       404:
  *         description: Group not found
  */
-router.post('/:id/messages', authMiddleware, groupController.sendMessage);
+router.post(
+  '/:id/request-join',
+  [authMiddleware, check('message', 'Message must be at most 500 characters').optional().isString().isLength({ max: 500 })],
+  groupController.requestJoinPrivateGroup
+);
 
 /**
  * @swagger
- * /api/groups/{id}/messages:
+ * /api/groups/{id}/join-requests:
  *   get:
- *     summary: Get group messages
+ *     summary: List join requests (Owner/Admin only)
+ *     description: Oldest first, cursor-paginated like the message list. Stale pending requests are expired before listing.
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -557,41 +656,97 @@ router.post('/:id/messages', authMiddleware, groupController.sendMessage);
  *         required: true
  *         schema:
  *           type: string
- *         description: Group ID
- *         example: 507f1f77bcf86cd799439011
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled, expired]
+ *           default: pending
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
- *         description: Number of messages to return
- *         example: 20
+ *           maximum: 100
  *       - in: query
  *         name: before
  *         schema:
  *           type: string
- *         description: Get messages before this timestamp
- *         example: 2023-01-01T00:00:00Z
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: List of messages
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Message'
+ *         description: "{ requests, hasMore, nextCursor }; each request has the user, their message and any review"
+ *       400:
+ *         description: Invalid status or cursor
  *       403:
- *         description: Not a member of the group
- *       404:
- *         description: Group not found
+ *         description: Not authorized
  */
-router.get('/:id/messages', authMiddleware, groupController.getMessages);
+router.get('/:id/join-requests', [authMiddleware, checkRole(['owner', 'admin'])], groupController.listJoinRequests);
 
 /**
  * @swagger
- * /api/groups/{id}:
- *   delete:
- *     summary: Delete a group (Owner only)
+ * /api/groups/{id}/join-requests/bulk:
+ *   post:
+ *     summary: Approve or decline several join requests (Owner/Admin only)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *               - userIds
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [approve, decline]
+ *               userIds:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Shown to the requesters
+ *     responses:
+ *       200:
+ *         description: "{ results: [{ userId, result }] } with result approved, waitlisted, full, banned, declined or not_found"
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized
+ */
+router.post(
+  '/:id/join-requests/bulk',
+  [
+    authMiddleware,
+    checkRole(['owner', 'admin']),
+    check('action', 'Action must be approve or decline').isIn(['approve', 'decline']),
+    check('userIds', 'userIds must be an array of 1 to 100 user IDs').isArray({ min: 1, max: 100 }),
+    check('userIds.*', 'Invalid user ID').isMongoId(),
+    check('reason', 'Reason must be at most 500 characters').optional().isString().isLength({ max: 500 })
+  ],
+  groupController.reviewJoinRequests
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/join-requests/{userId}/approve:
+ *   post:
+ *     summary: Approve a join request (Owner/Admin only)
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -603,22 +758,49 @@ router.get('/:id/messages', authMiddleware, groupController.getMessages);
  *           type: string
  *         description: Group ID
  *         example: 507f1f77bcf86cd799439011
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID to approve
+ *         example: 60a7b9bfe6f12c001c8e4b9f
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Shown to the requester
  *     responses:
  *       200:
- *         description: Group deleted successfully
+ *         description: Join request approved
+ *       202:
+ *         description: Approved, but the group is full so the user was put on the waitlist
+ *       400:
+ *         description: The group is full and has no waitlist
  *       403:
  *         description: Not authorized
  *       404:
- *         description: Group not found
+ *         description: Group or request not found
  */
-router.delete('/:id', [authMiddleware, checkRole(['owner'])], groupController.deleteGroup);
+const reviewReason = check('reason', 'Reason must be at most 500 characters').optional().isString().isLength({ max: 500 });
 
+router.post(
+  '/:id/join-requests/:userId/approve',
+  [authMiddleware, checkRole(['owner', 'admin']), reviewReason],
+  groupController.approveJoinRequest
+);
 
 /**
  * @swagger
- * /api/groups/{id}/members/{userId}/role:
- *   patch:
- *     summary: Update a member's role (Owner/Admin only)
+ * /api/groups/{id}/join-requests/{userId}/decline:
+ *   post:
+ *     summary: Decline a join request (Owner/Admin only)
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -629,47 +811,44 @@ router.delete('/:id', [authMiddleware, checkRole(['owner'])], groupController.de
  *         schema:
  *           type: string
  *         description: Group ID
+ *         example: 507f1f77bcf86cd799439011
  *       - in: path
  *         name: userId
  *         required: true
  *         schema:
  *           type: string
- *         description: User ID to update role
+ *         description: User ID to decline
+ *         example: 60a7b9bfe6f12c001c8e4b9f
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - role
  *             properties:
- *               role:
+ *               reason:
  *                 type: string
- *                 enum: [admin, member]
- *                 description: New role for the user
- *                 example: admin
+ *                 maxLength: 500
+ *                 description: Shown to the requester
  *     responses:
  *       200:
- *         description: Role updated successfully
- *       400:
- *         description: Invalid role or cannot change owner
+ *         description: Join request declined
  *       403:
- *         description: Not authorized to update roles
+ *         description: Not authorized
  *       404:
- *         description: Group or user not found
+ *         description: Group or request not found
  */
-router.patch(
-  '/:id/members/:userId/role',
-  [authMiddleware, checkRole(['owner', 'admin'])],
-  groupController.updateMemberRole
+router.post(
+  '/:id/join-requests/:userId/decline',
+  [authMiddleware, checkRole(['owner', 'admin']), reviewReason],
+  groupController.declineJoinRequest
 );
 
 /**
  * @swagger
- * /api/groups/{id}/members/{userId}:
+ * /api/groups/{id}/banish/{userId}:
  *   post:
- *     summary: Add a member to group (Owner/Admin only)
+ *     summary: Banish a user from group (Owner only)
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -680,28 +859,1033 @@ router.patch(
  *         schema:
  *           type: string
  *         description: Group ID
+ *         example: 507f1f77bcf86cd799439011
  *       - in: path
  *         name: userId
  *         required: true
  *         schema:
  *           type: string
- *         description: User ID to add
+ *         description: User ID to banish
+ *         example: 60a7b9bfe6f12c001c8e4b9f
+ *     description: Removes the user if they are a member and bans them. A banned user can't join, request to join, be added or use an invite until the ban expires or is lifted. Banishing someone already banned updates the ban.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Shown to the banned user
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Omit for a permanent ban
  *     responses:
  *       200:
- *         description: Member added successfully
+ *         description: User banished successfully
  *       400:
- *         description: User already member or group full
+ *         description: Validation error, or the user is the owner
  *       403:
- *         description: Not authorized to add members
+ *         description: Not authorized
  *       404:
  *         description: Group or user not found
  */
 router.post(
-  '/:id/members/:userId',
-  [authMiddleware, checkRole(['owner', 'admin'])],
-  groupController.addMemberToGroup
+  '/:id/banish/:userId',
+  [
+    authMiddleware,
+    checkRole(['owner']),
+    check('reason', 'Reason must be at most 500 characters').optional().isString().isLength({ max: 500 }),
+    check('expiresAt', 'expiresAt must be a future date')
+      .optional()
+      .isISO8601()
+      .custom(value => new Date(value) > new Date())
+  ],
+  groupController.banishUser
 );
 
+/**
+ * @swagger
+ * /api/groups/{id}/bans:
+ *   get:
+ *     summary: List bans (Owner/Admin only)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, all]
+ *         description: active (default) lists bans in force; all includes expired and lifted ones
+ *       - in: query
+ *         name: appeal
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, rejected]
+ *     responses:
+ *       200:
+ *         description: Bans with the banned user, who issued them, reason, expiry and appeal
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/:id/bans', [authMiddleware, checkRole(['owner', 'admin'])], groupController.listBans);
+
+/**
+ * @swagger
+ * /api/groups/{id}/bans/me:
+ *   get:
+ *     summary: See your own ban from a group
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ reason, bannedAt, bannedUntil, appeal }"
+ *       404:
+ *         description: You are not banned from this group
+ */
+router.get('/:id/bans/me', authMiddleware, groupController.getMyBan);
+
+/**
+ * @swagger
+ * /api/groups/{id}/bans/me/appeal:
+ *   post:
+ *     summary: Appeal your ban (once per ban)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Appeal submitted
+ *       404:
+ *         description: You are not banned from this group
+ *       409:
+ *         description: This ban has already been appealed
+ */
+router.post(
+  '/:id/bans/me/appeal',
+  [
+    authMiddleware,
+    check('message', 'Appeal message is required (at most 1000 characters)')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+  ],
+  groupController.appealBan
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/bans/{userId}:
+ *   delete:
+ *     summary: Lift a ban (Owner/Admin only)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unbanned
+ *       404:
+ *         description: User is not banned
+ */
+router.delete('/:id/bans/:userId', [authMiddleware, checkRole(['owner', 'admin'])], groupController.unbanUser);
+
+/**
+ * @swagger
+ * /api/groups/{id}/bans/{userId}/appeal/{decision}:
+ *   post:
+ *     summary: Accept or reject a ban appeal (Owner/Admin only)
+ *     description: Accepting lifts the ban; rejecting keeps it, and the user can't appeal that ban again.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: decision
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [accept, reject]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               response:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Shown to the banned user
+ *     responses:
+ *       200:
+ *         description: Appeal accepted or rejected
+ *       400:
+ *         description: Invalid decision
+ *       404:
+ *         description: No pending appeal for this user
+ */
+router.post(
+  '/:id/bans/:userId/appeal/:decision',
+  [authMiddleware, checkRole(['owner', 'admin'])],
+  groupController.reviewAppeal
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/messages:
+ *   post:
+ *     summary: Send a message to group
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *         example: 507f1f77bcf86cd799439011
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: Plaintext, for server-encrypted groups
+ *                 example: Hello everyone!
+ *               ciphertext:
+ *                 type: string
+ *                 description: Client-encrypted content, for end-to-end encrypted groups
+ *               iv:
+ *                 type: string
+ *               authTag:
+ *                 type: string
+ *               keyVersion:
+ *                 type: integer
+ *               replyTo:
+ *                 type: string
+ *                 description: ID of a message in the same group to reply to; the reply joins that message's thread
+ *                 example: 60a7b9bfe6f12c001c8e4ba0
+ *               mentions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: End-to-end groups only (others are parsed from content); member IDs, "everyone" or "admins"
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             description: Same fields as the JSON body, plus files. content (or ciphertext) may be left out when files are attached.
+ *             properties:
+ *               content:
+ *                 type: string
+ *               replyTo:
+ *                 type: string
+ *               attachments:
+ *                 type: array
+ *                 description: Up to ATTACHMENT_MAX_FILES files, within the group's size and type limits. Files for end-to-end groups must already be encrypted by the client.
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Message sent successfully
+ *       400:
+ *         description: Missing content or ciphertext, or replyTo is deleted or in another group
+ *       413:
+ *         description: An attachment is larger than the group allows
+ *       415:
+ *         description: An attachment type is not allowed in the group
+ *       403:
+ *         description: Not a member of the group, or the group is announcement-only and the sender is not an owner/admin
+ *       404:
+ *         description: Group or replied-to message not found
+ *       409:
+ *         description: End-to-end group needs a new key, or keyVersion is not the current epoch
+ */
+router.post(
+  '/:groupId/messages',
+  [
+    authMiddleware,
+    uploadMiddleware,
+    check('content', 'Message content is required')
+      .if(body('ciphertext').not().exists())
+      .if((value, { req }) => !req.files || req.files.length === 0)
+      .not().isEmpty()
+  ],
+  messageController.sendMessage
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/messages:
+ *   get:
+ *     summary: Get group messages
+ *     description: Cursor-paginated, oldest first within a page. Without before/after/around the newest page is returned. Use at most one of before, after and around.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *         example: 507f1f77bcf86cd799439011
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *         description: Page size (default 50, capped at MESSAGE_PAGE_SIZE_MAX)
+ *         example: 20
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor (nextCursor.before of a previous page); returns older messages
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor (nextCursor.after of a previous page); returns newer messages
+ *       - in: query
+ *         name: around
+ *         schema:
+ *           type: string
+ *         description: Message ID; returns that message with messages on either side
+ *         example: 60a7b9bfe6f12c001c8e4ba0
+ *     responses:
+ *       200:
+ *         description: A page of messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Message'
+ *                 hasMore:
+ *                   type: object
+ *                   properties:
+ *                     before:
+ *                       type: boolean
+ *                     after:
+ *                       type: boolean
+ *                 nextCursor:
+ *                   type: object
+ *                   properties:
+ *                     before:
+ *                       type: string
+ *                     after:
+ *                       type: string
+ *       400:
+ *         description: Invalid cursor or conflicting parameters
+ *       403:
+ *         description: Not a member of the group
+ *       404:
+ *         description: Group or around message not found
+ */
+router.get('/:groupId/messages', authMiddleware, messageController.getMessages);
+
+/**
+ * @swagger
+ * /api/groups/{id}/messages/search:
+ *   get:
+ *     summary: Search group messages
+ *     description: Returns messages containing every word of q (whole words, case-insensitive), paginated like the message list. Content is matched through keyed hashes, so no plaintext is stored. Not available for end-to-end encrypted groups.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *         example: 507f1f77bcf86cd799439011
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: release notes
+ *       - in: query
+ *         name: sender
+ *         schema:
+ *           type: string
+ *         description: Only messages from this user ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages sent at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages sent at or before this time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: A page of matching messages, in the same shape as the message list
+ *       400:
+ *         description: Missing or unsearchable q, invalid filter or cursor, or an end-to-end encrypted group
+ *       403:
+ *         description: Not a member of the group
+ *       404:
+ *         description: Group not found
+ */
+router.get('/:groupId/messages/search', authMiddleware, messageController.searchMessages);
+
+/**
+ * @swagger
+ * /api/groups/{id}/messages/{messageId}/thread:
+ *   get:
+ *     summary: Get a message thread
+ *     description: Returns the thread root and a page of its replies, oldest first. Passing the ID of a reply returns the whole thread it belongs to. Accepts the same limit, before, after and around parameters as the message list.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *         example: 507f1f77bcf86cd799439011
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the thread root or any reply in it
+ *         example: 60a7b9bfe6f12c001c8e4ba0
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: around
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The thread root and a page of replies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 root:
+ *                   $ref: '#/components/schemas/Message'
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Message'
+ *                 hasMore:
+ *                   type: object
+ *                 nextCursor:
+ *                   type: object
+ *       400:
+ *         description: Invalid cursor or conflicting parameters
+ *       403:
+ *         description: Not a member of the group
+ *       404:
+ *         description: Group or message not found
+ */
+router.get('/:groupId/messages/:messageId/thread', authMiddleware, messageController.getThread);
+
+/**
+ * @swagger
+ * /api/groups/{id}/read:
+ *   post:
+ *     summary: Mark messages as read up to a message
+ *     description: Read markers only move forward; marking an older message than the current marker has no effect.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *         example: 507f1f77bcf86cd799439011
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - messageId
+ *             properties:
+ *               messageId:
+ *                 type: string
+ *                 example: 60a7b9bfe6f12c001c8e4ba0
+ *     responses:
+ *       200:
+ *         description: Marker updated; returns the remaining unread count
+ *       403:
+ *         description: Not a member of the group
+ *       404:
+ *         description: Group or message not found
+ */
+router.post('/:groupId/read', authMiddleware, messageController.markRead);
+
+/**
+ * @swagger
+ * /api/groups/{id}/messages/{messageId}/receipts:
+ *   get:
+ *     summary: See which members have read a message
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Members who have read the message, and how many have not
+ *       403:
+ *         description: Not a member of the group
+ *       404:
+ *         description: Group or message not found
+ */
+router.get('/:groupId/messages/:messageId/receipts', authMiddleware, messageController.getReceipts);
+
+/**
+ * @swagger
+ * /api/groups/{id}/waitlist:
+ *   get:
+ *     summary: List the waitlist (Owner/Admin only)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ maxMembers, memberCount, waitlist: [{ position, user, addedAt }] }"
+ *       403:
+ *         description: Not authorized
+ *   delete:
+ *     summary: Leave the waitlist
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Left the waitlist
+ *       404:
+ *         description: Not on the waitlist
+ */
+router.get('/:id/waitlist', [authMiddleware, checkRole(['owner', 'admin'])], groupController.getWaitlist);
+router.delete('/:id/waitlist', authMiddleware, groupController.leaveWaitlist);
+
+/**
+ * @swagger
+ * /api/groups/{id}/invites:
+ *   post:
+ *     summary: Create an invite link
+ *     description: Owners and admins can always create invites; members only when allowMemberInvites is on, and only with the member role. Anyone holding the code can join with POST /api/invites/{code}/accept.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [member, admin]
+ *                 default: member
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Omit for an invite that never expires
+ *               maxUses:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Omit for unlimited uses
+ *     responses:
+ *       201:
+ *         description: "The invite, with its code and url"
+ *       400:
+ *         description: Validation error, or a direct conversation
+ *       403:
+ *         description: Not allowed to invite (with this role)
+ *   get:
+ *     summary: List invites
+ *     description: Owners and admins see all invites of the group, members only the ones they created. Each invite lists who joined with it.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only invites that can still be used
+ *     responses:
+ *       200:
+ *         description: Invites, newest first
+ *       403:
+ *         description: Not a member of this group
+ */
+router.post(
+  '/:id/invites',
+  [
+    authMiddleware,
+    check('role', 'Role must be member or admin').optional().isIn(['member', 'admin']),
+    check('expiresAt', 'expiresAt must be a future date')
+      .optional()
+      .isISO8601()
+      .custom(value => new Date(value) > new Date()),
+    check('maxUses', 'maxUses must be a positive integer').optional().isInt({ min: 1 })
+  ],
+  inviteController.createInvite
+);
+router.get('/:id/invites', authMiddleware, inviteController.listInvites);
+
+/**
+ * @swagger
+ * /api/groups/{id}/invites/{inviteId}:
+ *   delete:
+ *     summary: Revoke an invite
+ *     description: Owners and admins can revoke any invite, members their own. People who already joined stay in the group.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: inviteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invite revoked
+ *       404:
+ *         description: Invite not found or already revoked
+ */
+router.delete('/:id/invites/:inviteId', authMiddleware, inviteController.revokeInvite);
+
+/**
+ * @swagger
+ * /api/groups/{id}/invitations:
+ *   post:
+ *     summary: Invite someone by email address
+ *     description: Same permissions as adding a member. If an account with the address exists, it gets a pending invitation to accept or decline. Otherwise the address is mailed a signed token that joins the group on registration.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Invalid email, or already a member
+ *       403:
+ *         description: Not allowed to invite, or a block between you and the user
+ *       409:
+ *         description: An invitation to this address is already pending
+ *   get:
+ *     summary: List email invitations
+ *     description: Owners and admins see all invitations of the group, members only the ones they sent.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined, revoked, expired]
+ *     responses:
+ *       200:
+ *         description: Up to 100 invitations, newest first
+ */
+router.post(
+  '/:id/invitations',
+  [authMiddleware, check('email', 'Please include a valid email').isEmail()],
+  inviteController.inviteByEmail
+);
+router.get('/:id/invitations', authMiddleware, inviteController.listEmailInvitations);
+
+/**
+ * @swagger
+ * /api/groups/{id}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending email invitation
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       404:
+ *         description: No pending invitation with this id
+ */
+router.delete('/:id/invitations/:invitationId', authMiddleware, inviteController.revokeEmailInvitation);
+
+/**
+ * @swagger
+ * /api/groups/{id}/pins:
+ *   get:
+ *     summary: List pinned messages
+ *     description: Most recently pinned first, with the decrypted message for each pin.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *         example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: "{ limit, pins: [{ message, pinnedBy, pinnedAt }] }"
+ *       403:
+ *         description: Not a member of the group
+ *       404:
+ *         description: Group not found
+ */
+router.get('/:id/pins', authMiddleware, messageController.getPins);
+
+/**
+ * @swagger
+ * /api/groups/{id}/pins/{messageId}:
+ *   post:
+ *     summary: Pin a message (Owner/Admin only)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Message pinned
+ *       400:
+ *         description: Already pinned, or the message is deleted
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Group or message not found
+ *       409:
+ *         description: The group already has PIN_LIMIT pinned messages
+ *   delete:
+ *     summary: Unpin a message (Owner/Admin only)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Message unpinned
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Group not found, or the message is not pinned
+ */
+router.post('/:id/pins/:messageId', [authMiddleware, checkRole(['owner', 'admin'])], messageController.pinMessage);
+router.delete('/:id/pins/:messageId', [authMiddleware, checkRole(['owner', 'admin'])], messageController.unpinMessage);
+
+/**
+ * @swagger
+ * /api/groups/{id}:
+ *   delete:
+ *     summary: Delete a group (Owner only)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *         example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: Group deleted successfully
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Group not found
+ */
+router.delete('/:id', [authMiddleware, checkRole(['owner'])], groupController.deleteGroup);
+
+
+/**
+ * @swagger
+ * /api/groups/{id}/members/{userId}/role:
+ *   patch:
+ *     summary: Update a member's role (Owner/Admin only)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID to update role
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member]
+ *                 description: New role for the user
+ *                 example: admin
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Invalid role or cannot change owner
+ *       403:
+ *         description: Not authorized to update roles
+ *       404:
+ *         description: Group or user not found
+ */
+router.patch(
+  '/:id/members/:userId/role',
+  [authMiddleware, checkRole(['owner', 'admin'])],
+  groupController.updateMemberRole
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/members/{userId}:
+ *   post:
+ *     summary: Add a member to group (Owner/Admin, or any member when allowMemberInvites is on)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID to add
+ *     responses:
+ *       200:
+ *         description: Member added successfully
+ *       400:
+ *         description: User already member or group full
+ *       403:
+ *         description: Not authorized to add members
+ *       404:
+ *         description: Group or user not found
+ */
+router.post('/:id/members/:userId', authMiddleware, groupController.addMemberToGroup);
+
 /**
  * @swagger
  * /api/groups/{id}/members/{userId}:
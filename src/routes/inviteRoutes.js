@@ -0,0 +1,43 @@
+const express = require('express');
+const inviteController = require('../controllers/inviteController');
+const authMiddleware = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invites
+ *   description: Joining groups with invite codes
+ */
+
+/**
+ * @swagger
+ * /api/invites/{code}/accept:
+ *   post:
+ *     summary: Join a group with an invite code
+ *     description: Works for any privacy setting, including cloud groups. The new member gets the invite's role, and the acceptance is recorded on the invite.
+ *     tags: [Invites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Joined the group
+ *       400:
+ *         description: Already a member, or the group is full
+ *       403:
+ *         description: You and the person who created the invite have blocked one another
+ *       404:
+ *         description: Invite not found
+ *       410:
+ *         description: Invite expired, used up, revoked or its creator can no longer invite
+ */
+router.post('/:code/accept', authMiddleware, inviteController.acceptInvite);
+
+module.exports = router;
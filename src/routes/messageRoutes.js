@@ -1,7 +1,8 @@
 const express = require('express');
-const { check } = require('express-validator');
+const { body, check } = require('express-validator');
 const messageController = require('../controllers/messageController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const uploadMiddleware = require('../middlewares/uploadMiddleware');
 
 const router = express.Router();
 
@@ -32,14 +33,45 @@ const router = express.Router();
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - content
  *             properties:
  *               content:
  *                 type: string
+ *                 description: Plaintext, for server-encrypted groups
+ *               ciphertext:
+ *                 type: string
+ *                 description: Client-encrypted content, for end-to-end encrypted groups
+ *               iv:
+ *                 type: string
+ *                 description: End-to-end groups only
+ *               authTag:
+ *                 type: string
+ *                 description: End-to-end groups only, optional
+ *               keyVersion:
+ *                 type: integer
+ *                 description: End-to-end groups only, must equal the group's current key epoch
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             description: Same fields as the JSON body, plus files. content (or ciphertext) may be left out when files are attached.
+ *             properties:
+ *               content:
+ *                 type: string
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
  *     responses:
  *       201:
  *         description: Message sent
+ *       400:
+ *         description: Missing content or ciphertext
+ *       413:
+ *         description: An attachment is larger than the group allows
+ *       415:
+ *         description: An attachment type is not allowed in the group
+ *       409:
+ *         description: End-to-end group needs a new key, or keyVersion is not the current epoch
  *       403:
  *         description: Not a group member
  *       404:
@@ -49,9 +81,219 @@ router.post(
   '/:groupId',
   [
     authMiddleware,
-    check('content', 'Message content is required').not().isEmpty()
+    uploadMiddleware,
+    check('content', 'Message content is required')
+      .if(body('ciphertext').not().exists())
+      .if((value, { req }) => !req.files || req.files.length === 0)
+      .not().isEmpty()
   ],
   messageController.sendMessage
 );
 
+/**
+ * @swagger
+ * /api/messages/{id}:
+ *   patch:
+ *     summary: Edit a message (sender only, within MESSAGE_EDIT_WINDOW_MINUTES)
+ *     description: The new content is encrypted with the group's current key; the previous version is kept, encrypted, in the edit history.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: Plaintext, for server-encrypted groups
+ *               ciphertext:
+ *                 type: string
+ *                 description: End-to-end groups only, with iv, authTag and keyVersion as when sending
+ *     responses:
+ *       200:
+ *         description: Updated message
+ *       403:
+ *         description: Not the sender, or the edit window has passed
+ *       404:
+ *         description: Message not found
+ *       409:
+ *         description: Message changed concurrently
+ *   delete:
+ *     summary: Delete a message (sender, or group owner/admin)
+ *     description: The content is erased; getMessages returns a tombstone in its place.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Message deleted
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Message not found
+ */
+router.patch('/:id', authMiddleware, messageController.editMessage);
+router.delete('/:id', authMiddleware, messageController.deleteMessage);
+
+/**
+ * @swagger
+ * /api/messages/{id}/history:
+ *   get:
+ *     summary: Get previous versions of an edited message (sender, or group owner/admin)
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Previous versions, oldest first
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Message not found
+ */
+router.get('/:id/history', authMiddleware, messageController.getEditHistory);
+
+/**
+ * @swagger
+ * /api/messages/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download a message attachment (group members only)
+ *     description: Returns the decrypted file for server-encrypted groups, or the client's ciphertext for end-to-end groups.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File contents
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Not a group member
+ *       404:
+ *         description: Message or attachment not found
+ *       502:
+ *         description: The stored file could not be read or failed its integrity check
+ */
+router.get('/:id/attachments/:attachmentId', authMiddleware, messageController.downloadAttachment);
+
+/**
+ * @swagger
+ * /api/messages/{id}/reactions:
+ *   get:
+ *     summary: List who reacted to a message, grouped by emoji
+ *     description: Reactions by users who have left or been removed from the group are kept and flagged with member false.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reactions grouped by emoji
+ *       403:
+ *         description: Not a group member
+ *       404:
+ *         description: Message not found
+ */
+router.get('/:id/reactions', authMiddleware, messageController.getReactions);
+
+/**
+ * @swagger
+ * /api/messages/{id}/reactions/{emoji}:
+ *   post:
+ *     summary: React to a message
+ *     description: Each user can react once per emoji; reacting again with the same emoji has no effect.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: emoji
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: URL-encoded emoji
+ *         example: "%F0%9F%91%8D"
+ *     responses:
+ *       201:
+ *         description: Reaction added
+ *       200:
+ *         description: Already reacted with this emoji
+ *       400:
+ *         description: Not an emoji, or the message is deleted
+ *       403:
+ *         description: Not a group member
+ *       404:
+ *         description: Message not found
+ *   delete:
+ *     summary: Remove your reaction from a message
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: emoji
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reaction removed
+ *       403:
+ *         description: Not a group member
+ *       404:
+ *         description: Message or reaction not found
+ */
+router.post('/:id/reactions/:emoji', authMiddleware, messageController.addReaction);
+router.delete('/:id/reactions/:emoji', authMiddleware, messageController.removeReaction);
+
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,12 @@
 const express = require('express');
+const { check } = require('express-validator');
 const userController = require('../controllers/userController');
+const messageController = require('../controllers/messageController');
+const inviteController = require('../controllers/inviteController');
+const conversationController = require('../controllers/conversationController');
+const groupController = require('../controllers/groupController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const uploadMiddleware = require('../middlewares/uploadMiddleware');
 
 const router = express.Router();
 
@@ -21,10 +27,519 @@ const router = express.Router();
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: User data
+ *         description: User data, including the profile
  *       401:
  *         description: Unauthorized
+ *   patch:
+ *     summary: Update the current user's profile
+ *     description: Omitted fields are left unchanged; null clears a field. Profiles (email, displayName, firstName, lastName, avatarUrl, status) are what other users see as senders and members.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               displayName:
+ *                 type: string
+ *                 maxLength: 64
+ *               firstName:
+ *                 type: string
+ *                 maxLength: 64
+ *               lastName:
+ *                 type: string
+ *                 maxLength: 64
+ *               bio:
+ *                 type: string
+ *                 maxLength: 500
+ *               timezone:
+ *                 type: string
+ *                 example: Africa/Lagos
+ *               status:
+ *                 type: object
+ *                 properties:
+ *                   text:
+ *                     type: string
+ *                     maxLength: 140
+ *                   emoji:
+ *                     type: string
+ *                   expiresAt:
+ *                     type: string
+ *                     format: date-time
+ *                     description: The status is hidden after this time
+ *     responses:
+ *       200:
+ *         description: The updated user
+ *       400:
+ *         description: Validation error
  */
 router.get('/me', authMiddleware, userController.getCurrentUser);
+router.patch(
+  '/me',
+  [
+    authMiddleware,
+    check(['displayName', 'firstName', 'lastName'], 'Must be a string of at most 64 characters')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ max: 64 }),
+    check('bio', 'Bio must be a string of at most 500 characters')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ max: 500 }),
+    check('timezone', 'Timezone must be an IANA zone name').optional({ values: 'null' }).isString(),
+    check('status', 'Status must be an object').optional({ values: 'null' }).isObject(),
+    check('status.text', 'Status text must be at most 140 characters').optional().isString().isLength({ max: 140 }),
+    check('status.emoji', 'Status emoji must be a string').optional().isString(),
+    check('status.expiresAt', 'Status expiry must be a future date')
+      .optional()
+      .isISO8601()
+      .custom(value => new Date(value) > new Date())
+  ],
+  userController.updateProfile
+);
+
+/**
+ * @swagger
+ * /api/users/me/avatar:
+ *   post:
+ *     summary: Upload or replace the current user's avatar
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *                 description: PNG, JPEG, GIF or WebP, up to AVATAR_MAX_BYTES (default 2 MB)
+ *     responses:
+ *       200:
+ *         description: The updated user, with its new avatarUrl
+ *       400:
+ *         description: No file, or not a supported image type
+ *       413:
+ *         description: File too large
+ *   delete:
+ *     summary: Remove the current user's avatar
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Avatar removed
+ *       404:
+ *         description: No avatar set
+ */
+router.post('/me/avatar', authMiddleware, uploadMiddleware.avatar, userController.uploadAvatar);
+router.delete('/me/avatar', authMiddleware, userController.removeAvatar);
+
+/**
+ * @swagger
+ * /api/users/search:
+ *   get:
+ *     summary: Search users by email or display name
+ *     description: Users who opted out of search, and users on either side of a block with the caller, are never returned.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: alice
+ *     responses:
+ *       200:
+ *         description: Up to 20 matching users
+ *       400:
+ *         description: Missing q
+ */
+router.get('/search', authMiddleware, userController.searchUsers);
+
+/**
+ * @swagger
+ * /api/users/{id}/avatar:
+ *   get:
+ *     summary: Get a user's avatar image
+ *     description: Use the avatarUrl from a user's profile; it changes whenever the avatar does. No token needed, so it loads in an img tag.
+ *     tags: [Users]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The image
+ *       404:
+ *         description: Avatar not found
+ */
+// Public like the rest of the profile, so browsers can load it directly
+router.get('/:id/avatar', userController.getAvatar);
+
+/**
+ * @swagger
+ * /api/users/me/privacy:
+ *   patch:
+ *     summary: Update privacy settings
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               searchable:
+ *                 type: boolean
+ *                 description: Appear in user search (default true)
+ *               hideBlockedMessages:
+ *                 type: boolean
+ *                 description: Leave messages from blocked users out of message lists, threads and search (default true)
+ *     responses:
+ *       200:
+ *         description: The updated privacy settings
+ *       400:
+ *         description: A value is not a boolean
+ */
+router.patch('/me/privacy', authMiddleware, userController.updatePrivacy);
+
+/**
+ * @swagger
+ * /api/users/me/blocks:
+ *   get:
+ *     summary: List blocked users
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Blocked users
+ */
+router.get('/me/blocks', authMiddleware, userController.getBlocks);
+
+/**
+ * @swagger
+ * /api/users/me/blocks/{userId}:
+ *   post:
+ *     summary: Block a user
+ *     description: A blocked user can't be found in search, can't open a direct conversation or message you there, and can't add you to a group (nor you them). Their group messages are hidden from you unless hideBlockedMessages is off.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User blocked
+ *       400:
+ *         description: Invalid user ID, or your own ID
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     summary: Unblock a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unblocked (also when they weren't blocked)
+ *       400:
+ *         description: Invalid user ID, or your own ID
+ *       404:
+ *         description: User not found
+ */
+router.post('/me/blocks/:userId', authMiddleware, conversationController.blockUser);
+router.delete('/me/blocks/:userId', authMiddleware, conversationController.unblockUser);
+
+/**
+ * @swagger
+ * /api/users/me/groups:
+ *   get:
+ *     summary: List the groups the current user belongs to
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Groups, each with an unreadCount of messages from others after the user's read marker
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/groups', authMiddleware, userController.getUserGroups);
+
+/**
+ * @swagger
+ * /api/users/me/mentions:
+ *   get:
+ *     summary: Messages that mention the current user
+ *     description: Covers direct @mentions, @everyone, and @admins in groups the user owns or administers, across all groups the user is currently a member of. Cursor-paginated like the message list.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ mentions: [{ group, message, direct }], hasMore, nextCursor }"
+ *       400:
+ *         description: Invalid cursor
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/mentions', authMiddleware, messageController.getMentions);
+
+/**
+ * @swagger
+ * /api/users/me/invitations:
+ *   get:
+ *     summary: List pending group invitations sent to the current user's email
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending invitations with their group and who sent them
+ */
+router.get('/me/invitations', authMiddleware, inviteController.getMyInvitations);
+
+/**
+ * @swagger
+ * /api/users/me/join-requests:
+ *   get:
+ *     summary: List the current user's join requests
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled, expired]
+ *     responses:
+ *       200:
+ *         description: Up to 100 requests, newest first, with the group and any reviewer and reason
+ */
+router.get('/me/join-requests', authMiddleware, groupController.getMyJoinRequests);
+
+/**
+ * @swagger
+ * /api/users/me/join-requests/{requestId}:
+ *   delete:
+ *     summary: Cancel one of the current user's pending join requests
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Join request cancelled
+ *       404:
+ *         description: No pending request with this id
+ */
+router.delete('/me/join-requests/:requestId', authMiddleware, groupController.cancelJoinRequest);
+
+/**
+ * @swagger
+ * /api/users/me/invitations/{invitationId}/accept:
+ *   post:
+ *     summary: Accept a group invitation
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Joined the group
+ *       400:
+ *         description: The group is full
+ *       403:
+ *         description: You and the person who invited you have blocked one another
+ *       404:
+ *         description: Invitation not found
+ *       410:
+ *         description: Invitation expired, revoked or already answered
+ */
+router.post('/me/invitations/:invitationId/accept', authMiddleware, inviteController.acceptMyInvitation);
+
+/**
+ * @swagger
+ * /api/users/me/invitations/{invitationId}/decline:
+ *   post:
+ *     summary: Decline a group invitation
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       404:
+ *         description: Invitation not found
+ *       410:
+ *         description: Invitation expired, revoked or already answered
+ */
+router.post('/me/invitations/:invitationId/decline', authMiddleware, inviteController.declineMyInvitation);
+
+/**
+ * @swagger
+ * /api/users/me/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions with device and IP information; the caller's own session is flagged as current
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/sessions', authMiddleware, userController.getSessions);
+
+/**
+ * @swagger
+ * /api/users/me/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/me/sessions/:sessionId', authMiddleware, userController.revokeSession);
+
+/**
+ * @swagger
+ * /api/users/me/keys:
+ *   post:
+ *     summary: Register a public key for end-to-end encrypted groups
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - publicKey
+ *               - algorithm
+ *             properties:
+ *               publicKey:
+ *                 type: string
+ *                 description: Encoded public key (e.g. base64 or PEM)
+ *               algorithm:
+ *                 type: string
+ *                 example: x25519
+ *               keyId:
+ *                 type: string
+ *                 description: Optional; defaults to a fingerprint of the key
+ *     responses:
+ *       201:
+ *         description: Key registered
+ *       200:
+ *         description: Key was already registered
+ *       400:
+ *         description: Validation error
+ *   get:
+ *     summary: List the current user's active public keys
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Public keys
+ */
+router.post('/me/keys', authMiddleware, userController.addPublicKey);
+router.get('/me/keys', authMiddleware, userController.getPublicKeys);
+
+/**
+ * @swagger
+ * /api/users/me/keys/{keyId}:
+ *   delete:
+ *     summary: Revoke one of the current user's public keys
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *       404:
+ *         description: Key not found
+ */
+router.delete('/me/keys/:keyId', authMiddleware, userController.revokePublicKey);
 
 module.exports = router;
\ No newline at end of file
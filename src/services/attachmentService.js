@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const encryptionService = require('./encryptionService');
+const storageService = require('./storageService');
+
+// Server-wide ceilings; a group can only tighten them
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES || `${10 * 1024 * 1024}`, 10);
+const ATTACHMENT_MAX_FILES = parseInt(process.env.ATTACHMENT_MAX_FILES || '5', 10);
+const DEFAULT_ALLOWED_TYPES = (process.env.ATTACHMENT_ALLOWED_TYPES || 'image/*,application/pdf,text/plain')
+  .split(',')
+  .map(type => type.trim().toLowerCase())
+  .filter(Boolean);
+
+// The limits that apply in a group, from its settings or the defaults
+const policyFor = (settings) => {
+  const limits = (settings && settings.attachments) || {};
+  return {
+    maxBytes: Math.min(limits.maxBytes || ATTACHMENT_MAX_BYTES, ATTACHMENT_MAX_BYTES),
+    allowedTypes: limits.allowedTypes && limits.allowedTypes.length > 0
+      ? limits.allowedTypes
+      : DEFAULT_ALLOWED_TYPES
+  };
+};
+
+// Patterns are exact types ("application/pdf") or wildcards ("image/*")
+const isAllowedType = (mimeType, allowedTypes) => {
+  const type = (mimeType || '').toLowerCase();
+  return allowedTypes.some(pattern => (pattern.endsWith('/*')
+    ? type.startsWith(pattern.slice(0, -1))
+    : type === pattern));
+};
+
+/**
+ * Checks uploaded files against a group's policy. Returns null when they
+ * are acceptable, otherwise { status, error } to send back.
+ */
+const checkFiles = (files, policy) => {
+  for (const file of files) {
+    if (file.size > policy.maxBytes) {
+      return { status: 413, error: `${file.originalname} exceeds the ${policy.maxBytes} byte limit for this group` };
+    }
+    if (!isAllowedType(file.mimetype, policy.allowedTypes)) {
+      return { status: 415, error: `${file.mimetype} files are not allowed in this group` };
+    }
+  }
+  return null;
+};
+
+const storageKey = (groupId, messageId, attachmentId) => `${groupId}/${messageId}/${attachmentId}`;
+
+/**
+ * Stores uploaded files for a new message and returns the attachment
+ * entries to save on it. Server encrypted groups get each file encrypted
+ * with the current group key; e2e groups upload files the client already
+ * encrypted, which are stored untouched.
+ */
+const storeFiles = async (group, messageId, files) => {
+  const stored = [];
+  try {
+    for (const file of files) {
+      const _id = new mongoose.Types.ObjectId();
+      const key = storageKey(group._id, messageId, _id);
+      const attachment = {
+        _id,
+        filename: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        storageKey: key
+      };
+
+      if (group.encryptionMode === 'e2e') {
+        await storageService.put(key, file.buffer);
+        attachment.algorithm = 'e2e';
+        attachment.keyVersion = group.e2e.epoch;
+      } else {
+        const { encryptedData, iv, authTag, algorithm, keyVersion } =
+          await encryptionService.encryptFileForGroup(group, file.buffer, messageId, _id);
+        await storageService.put(key, encryptedData);
+        Object.assign(attachment, { iv, authTag, algorithm, keyVersion });
+      }
+
+      stored.push(attachment);
+    }
+  } catch (error) {
+    await removeFiles(stored);
+    throw error;
+  }
+  return stored;
+};
+
+/**
+ * Returns an attachment's bytes: decrypted for server encrypted groups,
+ * the client's ciphertext for e2e groups. The group must have been loaded
+ * with +encryptionKey +keyHistory.
+ */
+const readFile = async (group, messageId, attachment) => {
+  const data = await storageService.get(attachment.storageKey);
+  if (attachment.algorithm === 'e2e') return data;
+  return encryptionService.decryptFileForGroup(group, messageId, attachment, data);
+};
+
+const removeFiles = (attachments) => storageService.remove(attachments.map(attachment => attachment.storageKey));
+
+module.exports = {
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_MAX_FILES,
+  DEFAULT_ALLOWED_TYPES,
+  policyFor,
+  isAllowedType,
+  checkFiles,
+  storeFiles,
+  readFile,
+  removeFiles
+};
@@ -0,0 +1,58 @@
+const Ban = require('../models/Ban');
+const EmailInvitation = require('../models/EmailInvitation');
+const Group = require('../models/Group');
+const JoinRequest = require('../models/JoinRequest');
+
+const BANNED_MESSAGE = 'You are banned from this group';
+
+const activeBan = (groupId, userId) => Ban.findOne(Ban.activeQuery({ group: groupId, user: userId }));
+
+/**
+ * Bans a user from a group, or updates the reason and expiry of the ban
+ * already in force. Also drops them from the waitlist and settles their
+ * pending join requests and invitations, so nothing queued lets them back in.
+ */
+const ban = async (groupId, userId, { bannedBy, reason, expiresAt }) => {
+  let current = await activeBan(groupId, userId);
+  if (current) {
+    current.set({ bannedBy, reason, expiresAt });
+    await current.save();
+  } else {
+    current = await Ban.create({ group: groupId, user: userId, bannedBy, reason, expiresAt });
+  }
+
+  await Group.updateOne({ _id: groupId }, { $pull: { waitlist: { user: userId } } });
+  await JoinRequest.updateMany(
+    { group: groupId, user: userId, status: 'pending' },
+    { status: 'rejected', processedAt: new Date() }
+  );
+  await EmailInvitation.updateMany(
+    { group: groupId, user: userId, status: 'pending' },
+    { status: 'revoked', respondedAt: new Date() }
+  );
+
+  return current;
+};
+
+// Lifts the ban in force, if any; returns it or null
+const lift = (groupId, userId, liftedBy) => Ban.findOneAndUpdate(
+  Ban.activeQuery({ group: groupId, user: userId }),
+  { liftedAt: new Date(), liftedBy },
+  { new: true }
+);
+
+// What a banned user is told when they try to get in
+const describe = (current) => ({
+  message: BANNED_MESSAGE,
+  reason: current.reason,
+  bannedUntil: current.expiresAt || null,
+  canAppeal: !current.appeal?.status
+});
+
+module.exports = {
+  BANNED_MESSAGE,
+  activeBan,
+  ban,
+  lift,
+  describe
+};
@@ -0,0 +1,51 @@
+const User = require('../models/User');
+
+/**
+ * True if any of the given users has blocked any other of them. Blocking
+ * is one-sided to set up but cuts contact both ways.
+ */
+const hasBlockBetween = async (userIds) => {
+  const blocked = await User.exists({
+    _id: { $in: userIds },
+    blockedUsers: { $in: userIds }
+  });
+  return !!blocked;
+};
+
+/**
+ * IDs of users whose messages should be hidden from this user: the ones
+ * they blocked, unless they turned hideBlockedMessages off.
+ */
+const hiddenSendersFor = async (userId) => {
+  const user = await User.findById(userId).select('blockedUsers privacy');
+  if (!user || user.privacy?.hideBlockedMessages === false) return [];
+  return user.blockedUsers;
+};
+
+/**
+ * IDs to leave out of user search for this user: everyone they blocked and
+ * everyone who blocked them.
+ */
+const excludedFromSearch = async (userId) => {
+  const [user, blockedBy] = await Promise.all([
+    User.findById(userId).select('blockedUsers'),
+    User.find({ blockedUsers: userId }).select('_id')
+  ]);
+  return [...(user ? user.blockedUsers : []), ...blockedBy.map(other => other._id)];
+};
+
+const block = (userId, blockedUserId) => {
+  return User.updateOne({ _id: userId }, { $addToSet: { blockedUsers: blockedUserId } });
+};
+
+const unblock = (userId, blockedUserId) => {
+  return User.updateOne({ _id: userId }, { $pull: { blockedUsers: blockedUserId } });
+};
+
+module.exports = {
+  hasBlockBetween,
+  hiddenSendersFor,
+  excludedFromSearch,
+  block,
+  unblock
+};
@@ -0,0 +1,48 @@
+const Group = require('../models/Group');
+const realtimeService = require('./realtimeService');
+
+/**
+ * Flags an end-to-end group as needing a new key epoch. Until a member
+ * distributes a fresh key, nobody can send, so a departed member's copy of
+ * the old key is useless for new messages.
+ */
+const requireRekey = async (groupId, reason) => {
+  await Group.updateOne(
+    { _id: groupId, encryptionMode: 'e2e' },
+    {
+      'e2e.rekeyRequired': true,
+      'e2e.rekeyReason': reason,
+      'e2e.rekeyRequiredAt': new Date()
+    }
+  );
+  realtimeService.publishEvent(groupId, 'e2e.rekey_required', { reason });
+};
+
+/**
+ * Tells connected members that someone needs a wrapped copy of the current
+ * group key (e.g. a member just joined).
+ */
+const requestKeyDistribution = (groupId, userId) => {
+  realtimeService.publishEvent(groupId, 'e2e.key_distribution_required', { userId: userId.toString() });
+};
+
+/**
+ * Moves the group to the next key epoch if nobody beat us to it. Returns
+ * the updated group or null if the epoch already moved on.
+ */
+const advanceEpoch = (groupId, fromEpoch) => {
+  return Group.findOneAndUpdate(
+    { _id: groupId, encryptionMode: 'e2e', 'e2e.epoch': fromEpoch },
+    {
+      $set: { 'e2e.epoch': fromEpoch + 1, 'e2e.rekeyRequired': false },
+      $unset: { 'e2e.rekeyReason': 1, 'e2e.rekeyRequiredAt': 1 }
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  requireRekey,
+  requestKeyDistribution,
+  advanceEpoch
+};
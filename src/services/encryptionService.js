@@ -1,34 +1,229 @@
 const crypto = require('crypto');
+const Group = require('../models/Group');
+const kmsService = require('./kmsService');
 
-const algorithm = 'aes-256-cbc';
+const algorithm = 'aes-256-gcm';
+
+// Messages written before the switch to GCM have no MAC and are read-only
+const LEGACY_ALGORITHM = 'aes-256-cbc';
 
 const generateKey = () => {
   return crypto.randomBytes(32).toString('base64');
 };
 
-const encrypt = (text, keyBase64) => {
+const encrypt = (text, keyBase64, { aad } = {}) => {
   const key = Buffer.from(keyBase64, 'base64');
-  const iv = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
   const cipher = crypto.createCipheriv(algorithm, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad, 'utf8'));
   let encrypted = cipher.update(text, 'utf8', 'hex');
   encrypted += cipher.final('hex');
   return {
     encryptedData: encrypted,
-    iv: iv.toString('hex')
+    iv: iv.toString('hex'),
+    authTag: cipher.getAuthTag().toString('hex'),
+    algorithm
   };
 };
 
-const decrypt = (encryptedData, keyBase64, ivHex) => {
+// Throws if the ciphertext, IV, auth tag or associated data were tampered with
+const decrypt = (encryptedData, keyBase64, ivHex, { algorithm: messageAlgorithm = LEGACY_ALGORITHM, authTag, aad } = {}) => {
   const key = Buffer.from(keyBase64, 'base64');
   const iv = Buffer.from(ivHex, 'hex');
+
+  if (messageAlgorithm === LEGACY_ALGORITHM) {
+    const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, key, iv);
+    let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    return decrypted;
+  }
+
+  if (messageAlgorithm !== algorithm) {
+    throw new Error(`Unsupported algorithm ${messageAlgorithm}`);
+  }
+
+  if (!authTag) {
+    throw new Error('Missing authentication tag');
+  }
+
   const decipher = crypto.createDecipheriv(algorithm, key, iv);
+  decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+  if (aad) decipher.setAAD(Buffer.from(aad, 'utf8'));
   let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
   decrypted += decipher.final('utf8');
   return decrypted;
 };
 
+// Binary counterparts of encrypt/decrypt for attachments. GCM only: there
+// are no legacy CBC attachments.
+const encryptBuffer = (data, keyBase64, { aad } = {}) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(algorithm, Buffer.from(keyBase64, 'base64'), iv);
+  if (aad) cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const encryptedData = Buffer.concat([cipher.update(data), cipher.final()]);
+  return {
+    encryptedData,
+    iv: iv.toString('hex'),
+    authTag: cipher.getAuthTag().toString('hex'),
+    algorithm
+  };
+};
+
+// Throws if anything was tampered with; nothing is returned until the whole
+// buffer has been authenticated
+const decryptBuffer = (encryptedData, keyBase64, ivHex, { authTag, aad } = {}) => {
+  if (!authTag) {
+    throw new Error('Missing authentication tag');
+  }
+  const decipher = crypto.createDecipheriv(algorithm, Buffer.from(keyBase64, 'base64'), Buffer.from(ivHex, 'hex'));
+  decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+  if (aad) decipher.setAAD(Buffer.from(aad, 'utf8'));
+  return Buffer.concat([decipher.update(encryptedData), decipher.final()]);
+};
+
+// Binds a message's ciphertext to its group and id so it can't be moved
+// to another message or group without failing authentication
+const messageAad = (groupId, messageId) => `${groupId}:${messageId}`;
+
+const attachmentAad = (groupId, messageId, attachmentId) => `${groupId}:${messageId}:${attachmentId}`;
+
+// Unwrapped group keys only ever live here, in memory. Keyed by the wrapped
+// value so a rotated or re-wrapped key is never served stale.
+const UNWRAPPED_KEY_CACHE_SIZE = 1000;
+const unwrappedKeys = new Map();
+
+const unwrapCached = async (storedKey) => {
+  if (unwrappedKeys.has(storedKey)) return unwrappedKeys.get(storedKey);
+
+  const key = await kmsService.unwrapKey(storedKey);
+  if (unwrappedKeys.size >= UNWRAPPED_KEY_CACHE_SIZE) {
+    unwrappedKeys.delete(unwrappedKeys.keys().next().value);
+  }
+  unwrappedKeys.set(storedKey, key);
+  return key;
+};
+
+// Returns the plaintext key for a version of the group key. The group must
+// have been loaded with +encryptionKey (and +keyHistory for old versions).
+const getGroupKey = async (group, version = group.keyVersion) => {
+  const storedKey = group.keyForVersion(version);
+  if (!storedKey) {
+    throw new Error(`Key version ${version} not found for group ${group._id}`);
+  }
+  return unwrapCached(storedKey);
+};
+
+// Returns the plaintext search key, creating it for groups that don't have
+// one yet. The group should have been loaded with +searchKey.
+const getSearchKey = async (group) => {
+  if (!group.searchKey) {
+    const wrapped = await kmsService.wrapKey(generateKey());
+    // Whoever sets it first wins; everyone else uses that key
+    await Group.updateOne({ _id: group._id, searchKey: null }, { searchKey: wrapped });
+    const { searchKey } = await Group.findById(group._id).select('+searchKey');
+    group.searchKey = searchKey;
+  }
+  return unwrapCached(group.searchKey);
+};
+
+// Encrypts with the group's current key and records which version was used.
+// The group must have been loaded with +encryptionKey.
+const encryptForGroup = async (group, text, messageId) => {
+  const key = await getGroupKey(group);
+  const { encryptedData, iv, authTag } = encrypt(text, key, {
+    aad: messageAad(group._id, messageId)
+  });
+  return { encryptedData, iv, authTag, algorithm, keyVersion: group.keyVersion };
+};
+
+// Decrypts with whichever key version and algorithm the message was written
+// under. The group must have been loaded with +encryptionKey +keyHistory.
+const decryptForGroup = async (group, message) => {
+  const key = await getGroupKey(group, message.keyVersion || 1);
+  return decrypt(message.encryptedContent, key, message.iv, {
+    algorithm: message.algorithm || LEGACY_ALGORITHM,
+    authTag: message.authTag,
+    aad: messageAad(group._id, message._id)
+  });
+};
+
+// Attachments are encrypted like message content, bound to their message
+const encryptFileForGroup = async (group, data, messageId, attachmentId) => {
+  const key = await getGroupKey(group);
+  const { encryptedData, iv, authTag } = encryptBuffer(data, key, {
+    aad: attachmentAad(group._id, messageId, attachmentId)
+  });
+  return { encryptedData, iv, authTag, algorithm, keyVersion: group.keyVersion };
+};
+
+const decryptFileForGroup = async (group, messageId, attachment, encryptedData) => {
+  const key = await getGroupKey(group, attachment.keyVersion);
+  return decryptBuffer(encryptedData, key, attachment.iv, {
+    authTag: attachment.authTag,
+    aad: attachmentAad(group._id, messageId, attachment._id)
+  });
+};
+
+const MAX_ROTATION_ATTEMPTS = 5;
+
+/**
+ * Replaces the group's key with a fresh one and moves the old key into the
+ * key history. The update only applies if nobody rotated in the meantime,
+ * so concurrent rotations can't lose a key.
+ */
+const rotateGroupKey = async (groupId, reason = 'manual') => {
+  for (let attempt = 0; attempt < MAX_ROTATION_ATTEMPTS; attempt++) {
+    const group = await Group.findById(groupId).select('+encryptionKey keyVersion keyRotatedAt createdAt');
+    if (!group) return null;
+
+    const nextKey = await kmsService.wrapKey(generateKey());
+
+    // Groups created before versioning have no keyVersion stored at all
+    const currentVersion = group.keyVersion === 1 ? { $in: [1, null] } : group.keyVersion;
+
+    const now = new Date();
+    const rotated = await Group.findOneAndUpdate(
+      { _id: group._id, keyVersion: currentVersion },
+      {
+        $push: {
+          keyHistory: {
+            version: group.keyVersion,
+            key: group.encryptionKey,
+            createdAt: group.keyRotatedAt || group.createdAt,
+            retiredAt: now,
+            retiredReason: reason
+          }
+        },
+        $set: {
+          encryptionKey: nextKey,
+          keyVersion: group.keyVersion + 1,
+          keyRotatedAt: now
+        }
+      },
+      { new: true }
+    );
+
+    if (rotated) return rotated.keyVersion;
+  }
+
+  throw new Error(`Could not rotate key for group ${groupId}`);
+};
+
 module.exports = {
+  algorithm,
+  LEGACY_ALGORITHM,
   generateKey,
   encrypt,
-  decrypt
+  decrypt,
+  encryptBuffer,
+  decryptBuffer,
+  messageAad,
+  attachmentAad,
+  getGroupKey,
+  getSearchKey,
+  encryptForGroup,
+  decryptForGroup,
+  encryptFileForGroup,
+  decryptFileForGroup,
+  rotateGroupKey
 };
\ No newline at end of file
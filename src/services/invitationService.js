@@ -0,0 +1,162 @@
+const jwt = require('jsonwebtoken');
+const EmailInvitation = require('../models/EmailInvitation');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const blockService = require('./blockService');
+const membershipService = require('./membershipService');
+const banService = require('./banService');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.EMAIL_INVITATION_TTL_DAYS || '7', 10);
+
+const TOKEN_TYPE = 'group_invitation';
+
+const appUrl = () => process.env.APP_URL || 'http://localhost:3000';
+
+// The token proves the holder received the mail; the invitation itself can
+// still be revoked, so it is always looked up as well
+const signToken = (invitation) => jwt.sign(
+  { sub: invitation._id.toString(), email: invitation.email, typ: TOKEN_TYPE },
+  process.env.JWT_SECRET,
+  { expiresIn: `${INVITATION_TTL_DAYS}d` }
+);
+
+const verifyToken = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.typ === TOKEN_TYPE ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const inviterName = async (userId) => {
+  const inviter = await User.findById(userId).select('email displayName firstName lastName');
+  return inviter ? inviter.getDisplayName() : 'Someone';
+};
+
+/**
+ * Creates a pending invitation for the address and mails it. Existing users
+ * are told to answer it in the app; anyone else gets a signed link that
+ * joins them to the group when they register. Returns null if the address
+ * already has a pending invitation to the group.
+ */
+const sendInvitation = async ({ group, email, invitedBy, user }) => {
+  // Lapsed invitations would otherwise block a new one
+  await EmailInvitation.updateMany(
+    { group: group._id, email, status: 'pending', expiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+
+  let invitation;
+  try {
+    invitation = await EmailInvitation.create({
+      group: group._id,
+      email,
+      user: user?._id,
+      invitedBy,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  const name = await inviterName(invitedBy);
+  const lines = [`${name} invited you to join "${group.name}".`];
+
+  if (user) {
+    lines.push('Sign in to accept or decline the invitation.');
+  } else {
+    const token = signToken(invitation);
+    lines.push(
+      `Create your account within ${INVITATION_TTL_DAYS} days to join: ${appUrl()}/register?invitation=${token}`,
+      `Or pass this token as invitationToken to POST /api/auth/register: ${token}`
+    );
+  }
+
+  await mailService.sendMail({
+    to: email,
+    subject: `You're invited to ${group.name}`,
+    text: lines.join('\n\n')
+  });
+
+  return invitation;
+};
+
+/**
+ * Accepts a pending invitation on behalf of userId and adds them to the
+ * group. Returns null on success, otherwise { status, error } to send back.
+ */
+const acceptInvitation = async (invitation, userId) => {
+  if (!invitation.isPending()) {
+    return { status: 410, error: 'This invitation is no longer valid' };
+  }
+
+  const group = await Group.findById(invitation.group);
+  if (!group) {
+    return { status: 404, error: 'Group not found' };
+  }
+
+  if (await blockService.hasBlockBetween([userId, invitation.invitedBy])) {
+    return { status: 403, error: 'You cannot accept this invitation' };
+  }
+
+  if (await banService.activeBan(group._id, userId)) {
+    return { status: 403, error: banService.BANNED_MESSAGE };
+  }
+
+  const claimed = await EmailInvitation.findOneAndUpdate(
+    { _id: invitation._id, status: 'pending' },
+    { status: 'accepted', user: userId, respondedAt: new Date() }
+  );
+  if (!claimed) {
+    return { status: 410, error: 'This invitation is no longer valid' };
+  }
+
+  const { added, reason } = await membershipService.addMember(group, userId);
+  if (!added && reason === 'full') {
+    // Still valid; it can be accepted once a slot frees up
+    await EmailInvitation.updateOne(
+      { _id: invitation._id },
+      { status: 'pending', $unset: { respondedAt: 1 } }
+    );
+    return { status: 400, error: 'Group is full' };
+  }
+  if (reason === 'banned') {
+    await EmailInvitation.updateOne({ _id: invitation._id }, { status: 'revoked' });
+    return { status: 403, error: banService.BANNED_MESSAGE };
+  }
+  return null;
+};
+
+/**
+ * Called after registration: invitations sent to the new address become
+ * the user's pending invitations, and the one whose signed token came with
+ * the registration is accepted straight away. Returns the id of the group
+ * joined that way, if any.
+ */
+const claimForNewUser = async (user, token) => {
+  await EmailInvitation.updateMany(
+    { email: user.email, status: 'pending', user: null },
+    { user: user._id }
+  );
+
+  if (!token) return null;
+
+  const payload = verifyToken(token);
+  if (!payload || payload.email !== user.email) return null;
+
+  const invitation = await EmailInvitation.findById(payload.sub);
+  if (!invitation || invitation.email !== user.email) return null;
+
+  const failure = await acceptInvitation(invitation, user._id);
+  return failure ? null : invitation.group;
+};
+
+module.exports = {
+  INVITATION_TTL_DAYS,
+  sendInvitation,
+  acceptInvitation,
+  claimForNewUser
+};
@@ -0,0 +1,50 @@
+const JoinRequest = require('../models/JoinRequest');
+
+const JOIN_REQUEST_TTL_DAYS = parseInt(process.env.JOIN_REQUEST_TTL_DAYS || '30', 10);
+const TTL_MS = JOIN_REQUEST_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+/**
+ * Marks pending requests nobody answered in time as expired. There is no
+ * background job: this runs whenever requests are listed or submitted, so
+ * nothing ever sees a stale request as pending.
+ */
+const expireStale = (filter = {}) => {
+  const now = new Date();
+  return JoinRequest.updateMany(
+    {
+      ...filter,
+      status: 'pending',
+      $or: [
+        { expiresAt: { $lte: now } },
+        { expiresAt: null, createdAt: { $lte: new Date(now.getTime() - TTL_MS) } }
+      ]
+    },
+    { status: 'expired', processedAt: now }
+  );
+};
+
+/**
+ * Files a pending request to join. Returns null if the user already has
+ * one pending for the group.
+ */
+const submit = async (groupId, userId, message) => {
+  await expireStale({ group: groupId, user: userId });
+
+  try {
+    return await JoinRequest.create({
+      group: groupId,
+      user: userId,
+      message,
+      expiresAt: new Date(Date.now() + TTL_MS)
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+module.exports = {
+  JOIN_REQUEST_TTL_DAYS,
+  expireStale,
+  submit
+};
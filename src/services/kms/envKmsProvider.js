@@ -0,0 +1,11 @@
+const { createLocalKmsProvider } = require('./localKmsProvider');
+
+// MASTER_KEY is the current master key; MASTER_KEY_PREVIOUS holds retired
+// ones (comma-separated) while keys are being re-wrapped
+module.exports = createLocalKmsProvider({
+  name: 'env',
+  loadKeys: () => [
+    process.env.MASTER_KEY,
+    ...(process.env.MASTER_KEY_PREVIOUS || '').split(',')
+  ]
+});
@@ -0,0 +1,16 @@
+const fs = require('fs');
+const { createLocalKmsProvider } = require('./localKmsProvider');
+
+// MASTER_KEY_FILE holds one base64 master key per line, current key first
+module.exports = createLocalKmsProvider({
+  name: 'file',
+  loadKeys: () => {
+    if (!process.env.MASTER_KEY_FILE) {
+      throw new Error('MASTER_KEY_FILE is not set');
+    }
+    return fs.readFileSync(process.env.MASTER_KEY_FILE, 'utf8')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+  }
+});
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+const WRAP_ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'kms';
+
+// Short, stable identifier for a master key so wrapped values record which
+// master key they need without revealing anything about it
+const fingerprint = (masterKey) => {
+  return crypto.createHash('sha256').update(masterKey).digest('hex').slice(0, 16);
+};
+
+const parseMasterKey = (value) => {
+  const key = Buffer.from(value.trim(), 'base64');
+  if (key.length !== 32) {
+    throw new Error('Master keys must be 32 bytes, base64 encoded');
+  }
+  return key;
+};
+
+/**
+ * Wraps and unwraps data keys with AES-256-GCM under a locally held master
+ * key. The first key is the current one used for wrapping; the rest are
+ * previous master keys kept only so values wrapped before a master key
+ * rotation can still be unwrapped (and re-wrapped).
+ *
+ * Wrapped values look like kms:<name>:<keyId>:<iv>:<tag>:<ciphertext>.
+ */
+const createLocalKmsProvider = ({ name, loadKeys }) => {
+  let keyring = null;
+
+  const getKeyring = () => {
+    if (!keyring) {
+      const keys = loadKeys().filter(Boolean).map(parseMasterKey);
+      if (keys.length === 0) {
+        throw new Error(`No master key configured for the ${name} KMS provider`);
+      }
+      keyring = keys.map(key => ({ id: fingerprint(key), key }));
+    }
+    return keyring;
+  };
+
+  const wrapKey = async (plaintextKey) => {
+    const [current] = getKeyring();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(WRAP_ALGORITHM, current.key, iv);
+    cipher.setAAD(Buffer.from(current.id));
+    const wrapped = Buffer.concat([cipher.update(plaintextKey, 'base64'), cipher.final()]);
+
+    return [
+      PREFIX,
+      name,
+      current.id,
+      iv.toString('base64'),
+      cipher.getAuthTag().toString('base64'),
+      wrapped.toString('base64')
+    ].join(':');
+  };
+
+  const unwrapKey = async (wrappedKey) => {
+    const [prefix, , keyId, iv, tag, wrapped] = wrappedKey.split(':');
+    if (prefix !== PREFIX || !wrapped) {
+      throw new Error('Value is not a wrapped key');
+    }
+
+    const entry = getKeyring().find(item => item.id === keyId);
+    if (!entry) {
+      throw new Error(`Master key ${keyId} is not available`);
+    }
+
+    const decipher = crypto.createDecipheriv(WRAP_ALGORITHM, entry.key, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(entry.id));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(wrapped, 'base64')),
+      decipher.final()
+    ]).toString('base64');
+  };
+
+  // True when the value is wrapped under the current master key
+  const isCurrent = (wrappedKey) => {
+    const [prefix, , keyId] = wrappedKey.split(':');
+    return prefix === PREFIX && keyId === getKeyring()[0].id;
+  };
+
+  // Loads the keyring up front so a missing or malformed master key stops
+  // the server at boot instead of failing the first request that needs it
+  const checkConfig = () => {
+    getKeyring();
+  };
+
+  return { name, wrapKey, unwrapKey, isCurrent, checkConfig };
+};
+
+module.exports = {
+  PREFIX,
+  createLocalKmsProvider
+};
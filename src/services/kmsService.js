@@ -0,0 +1,50 @@
+const envKmsProvider = require('./kms/envKmsProvider');
+const fileKmsProvider = require('./kms/fileKmsProvider');
+const { PREFIX } = require('./kms/localKmsProvider');
+
+const providers = {
+  env: envKmsProvider,
+  file: fileKmsProvider
+};
+
+// A provider is any object with async wrapKey(base64Key), async
+// unwrapKey(wrapped) and optionally isCurrent(wrapped) and checkConfig();
+// wrapped values must start with "kms:". KMS_PROVIDER picks a built-in
+// provider; setProvider plugs in another (a cloud KMS client, an HSM, ...).
+let provider = providers[process.env.KMS_PROVIDER || 'env'] || envKmsProvider;
+
+const setProvider = (customProvider) => {
+  if (!customProvider || typeof customProvider.wrapKey !== 'function' || typeof customProvider.unwrapKey !== 'function') {
+    throw new Error('KMS provider must implement wrapKey and unwrapKey');
+  }
+  provider = customProvider;
+};
+
+// Keys stored before envelope encryption are plain base64
+const isWrapped = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+const wrapKey = (plaintextKey) => provider.wrapKey(plaintextKey);
+
+const unwrapKey = async (storedKey) => {
+  if (!isWrapped(storedKey)) return storedKey;
+  return provider.unwrapKey(storedKey);
+};
+
+const needsRewrap = (storedKey) => {
+  if (!isWrapped(storedKey)) return true;
+  return typeof provider.isCurrent === 'function' && !provider.isCurrent(storedKey);
+};
+
+// Throws if the provider can't wrap keys as configured; called at boot
+const checkConfig = () => {
+  if (typeof provider.checkConfig === 'function') provider.checkConfig();
+};
+
+module.exports = {
+  setProvider,
+  checkConfig,
+  isWrapped,
+  wrapKey,
+  unwrapKey,
+  needsRewrap
+};
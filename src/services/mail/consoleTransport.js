@@ -0,0 +1,7 @@
+// Development transport: prints outgoing mail to the server log
+module.exports = {
+  name: 'console',
+  send: async (mail) => {
+    console.log('📧 Mail to %s: %s\n%s', mail.to, mail.subject, mail.text);
+  }
+};
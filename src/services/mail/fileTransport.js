@@ -0,0 +1,19 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const MAIL_DIR = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'secure-group-mail');
+
+// Development/test transport: writes each mail as a JSON file so it can be
+// inspected (e.g. to pick up a reset token) without a real mail server
+module.exports = {
+  name: 'file',
+  send: async (mail) => {
+    await fs.mkdir(MAIL_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.writeFile(
+      path.join(MAIL_DIR, fileName),
+      JSON.stringify({ ...mail, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+};
@@ -0,0 +1,65 @@
+const consoleTransport = require('./mail/consoleTransport');
+const fileTransport = require('./mail/fileTransport');
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+// The console transport logs whole mails, reset and invitation links
+// included, so it is only used while developing and testing
+const CONSOLE_ENVS = ['development', 'test'];
+
+const selectTransport = () => {
+  const name = process.env.MAIL_TRANSPORT;
+  const consoleAllowed = CONSOLE_ENVS.includes(process.env.NODE_ENV);
+
+  if (!name) {
+    if (consoleAllowed) return consoleTransport;
+    throw new Error('MAIL_TRANSPORT is not set');
+  }
+  if (!transports[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+  if (name === 'console' && !consoleAllowed) {
+    throw new Error('The console mail transport is only available when NODE_ENV is development or test');
+  }
+  return transports[name];
+};
+
+// A transport is any object with an async send({ from, to, subject, text }).
+// MAIL_TRANSPORT picks a built-in one; setTransport plugs in another (SMTP,
+// a provider SDK, ...) at startup.
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) transport = selectTransport();
+  return transport;
+};
+
+const setTransport = (customTransport) => {
+  if (!customTransport || typeof customTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(mail)');
+  }
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@groupmessaging.com',
+    to,
+    subject,
+    text
+  });
+};
+
+// Throws if no usable transport is configured; called at boot
+const checkConfig = () => {
+  getTransport();
+};
+
+module.exports = {
+  setTransport,
+  checkConfig,
+  sendMail
+};
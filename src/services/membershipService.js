@@ -0,0 +1,115 @@
+const Group = require('../models/Group');
+const User = require('../models/User');
+const readMarkerService = require('./readMarkerService');
+const banService = require('./banService');
+const e2eService = require('./e2eService');
+
+// Matches a group that still has a free slot. Evaluated by MongoDB as part
+// of the update, so two concurrent joins can't both take the last slot.
+const HAS_ROOM = {
+  $expr: {
+    $lt: [{ $size: '$members' }, { $ifNull: ['$maxMembers', Group.DEFAULT_MAX_MEMBERS] }]
+  }
+};
+
+// New members start with nothing unread. In an e2e group they can only read
+// once someone wraps the key for them.
+const afterMemberAdded = async (group, userId) => {
+  await readMarkerService.startAtLatest(group._id, userId);
+
+  if (group.encryptionMode === 'e2e') {
+    e2eService.requestKeyDistribution(group._id, userId);
+  }
+};
+
+/**
+ * Adds a user to a group (as an admin too when asked), as long as there is
+ * room and they aren't banned, and keeps their joinedGroups in step. Every
+ * way of joining a group goes through here. Returns { added: true }, or
+ * { added: false, reason } with reason 'member' (already in), 'banned' or
+ * 'full'.
+ */
+const addMember = async (group, userId, { admin = false } = {}) => {
+  if (await banService.activeBan(group._id, userId)) {
+    return { added: false, reason: 'banned' };
+  }
+
+  const result = await Group.updateOne(
+    { _id: group._id, members: { $ne: userId }, ...HAS_ROOM },
+    {
+      $addToSet: { members: userId, ...(admin && { admins: userId }) },
+      $pull: { waitlist: { user: userId } }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    const isMember = await Group.exists({ _id: group._id, members: userId });
+    return { added: false, reason: isMember ? 'member' : 'full' };
+  }
+
+  await User.findByIdAndUpdate(userId, { $addToSet: { joinedGroups: group._id } });
+  await afterMemberAdded(group, userId);
+  return { added: true };
+};
+
+/**
+ * Puts a user at the back of the waitlist. Returns their 1-based position,
+ * whether they were just added or already waiting.
+ */
+const joinWaitlist = async (group, userId) => {
+  await Group.updateOne(
+    { _id: group._id, 'waitlist.user': { $ne: userId } },
+    { $push: { waitlist: { user: userId, addedAt: new Date() } } }
+  );
+
+  const updated = await Group.findById(group._id).select('+waitlist');
+  return updated.waitlist.findIndex(entry => entry.user.equals(userId)) + 1;
+};
+
+const leaveWaitlist = async (groupId, userId) => {
+  const result = await Group.updateOne({ _id: groupId }, { $pull: { waitlist: { user: userId } } });
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Moves people from the front of the waitlist into the group while there is
+ * room. Call it whenever a slot may have opened up. Returns the ids of the
+ * users admitted.
+ */
+const admitFromWaitlist = async (groupId) => {
+  const admitted = [];
+
+  for (;;) {
+    // Take the first entry off the queue; only one caller can get it
+    const before = await Group.findOneAndUpdate(
+      { _id: groupId, 'waitlist.0': { $exists: true }, ...HAS_ROOM },
+      { $pop: { waitlist: -1 } }
+    ).select('waitlist encryptionMode');
+    if (!before) break;
+
+    const { user } = before.waitlist[0];
+    const { added, reason } = await addMember(before, user);
+
+    // Anyone banned meanwhile has simply lost their place
+    if (added) {
+      admitted.push(user);
+    } else if (reason === 'full') {
+      // Someone else took the slot; keep their place at the front
+      await Group.updateOne(
+        { _id: groupId },
+        { $push: { waitlist: { $each: [before.waitlist[0]], $position: 0 } } }
+      );
+      break;
+    }
+  }
+
+  return admitted;
+};
+
+module.exports = {
+  afterMemberAdded,
+  addMember,
+  joinWaitlist,
+  leaveWaitlist,
+  admitFromWaitlist
+};
@@ -0,0 +1,77 @@
+const User = require('../models/User');
+
+// @handle, @name@example.com, @everyone, @admins. The lookbehind keeps
+// email addresses in running text ("bob@example.com") from matching.
+const MENTION_PATTERN = /(?<![\w@.])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+const SPECIAL = ['everyone', 'admins'];
+
+const handleOf = (email) => email.split('@')[0].toLowerCase();
+
+/**
+ * Finds the mentions in plaintext. Returns the lowercased names that
+ * followed an @ plus whether @everyone or @admins were used.
+ */
+const parseMentions = (text) => {
+  const names = new Set();
+  for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+    names.add(match[1].replace(/[.]+$/, '').toLowerCase());
+  }
+  return {
+    names: [...names].filter(name => !SPECIAL.includes(name)),
+    everyone: names.has('everyone'),
+    admins: names.has('admins')
+  };
+};
+
+const empty = () => ({ mentions: [], mentionsEveryone: false, mentionsAdmins: false });
+
+/**
+ * Resolves the mentions in a message against the group's members, by full
+ * email or by handle (the part of the email before the @). Anything that is
+ * not a member is dropped without a trace, so mentions can't be used to
+ * probe who has an account. Handles shared by several members are ambiguous
+ * and dropped too; use the full email for those.
+ */
+const resolveMentions = async (group, text) => {
+  const { names, everyone, admins } = parseMentions(text);
+  const result = { ...empty(), mentionsEveryone: everyone, mentionsAdmins: admins };
+  if (names.length === 0) return result;
+
+  const members = await User.find({ _id: { $in: group.members } }).select('email');
+  const byEmail = new Map(members.map(member => [member.email.toLowerCase(), member._id]));
+  const byHandle = new Map();
+  for (const member of members) {
+    const handle = handleOf(member.email);
+    byHandle.set(handle, byHandle.has(handle) ? null : member._id);
+  }
+
+  const ids = names.map(name => byEmail.get(name) || byHandle.get(name)).filter(Boolean);
+  result.mentions = [...new Map(ids.map(id => [id.toString(), id])).values()];
+  return result;
+};
+
+/**
+ * E2E groups: the server can't read the text, so clients send the
+ * mentions themselves as user IDs plus "everyone"/"admins", either as an
+ * array or (in multipart forms) a comma-separated string. Non-members are
+ * dropped like in resolveMentions.
+ */
+const fromClient = (group, mentions) => {
+  const list = typeof mentions === 'string' ? mentions.split(',') : mentions;
+  if (!Array.isArray(list)) return empty();
+
+  const values = list.filter(value => typeof value === 'string').map(value => value.trim());
+  const memberIds = group.members.filter(memberId => values.includes(memberId.toString()));
+  return {
+    mentions: memberIds,
+    mentionsEveryone: values.includes('everyone'),
+    mentionsAdmins: values.includes('admins')
+  };
+};
+
+module.exports = {
+  parseMentions,
+  resolveMentions,
+  fromClient
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const mailService = require('./mailService');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issues a fresh single-use reset token for the user and mails it. Any
+ * token issued earlier stops working.
+ */
+const requestReset = async (user, req) => {
+  await PasswordResetToken.deleteMany({ user: user._id });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await PasswordResetToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+    requestedIp: req.ip
+  });
+
+  const resetUrl = `${process.env.APP_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      'We received a request to reset your password.',
+      `Use this link within ${RESET_TOKEN_TTL_MINUTES} minutes: ${resetUrl}`,
+      `Or submit this token to POST /api/auth/password/reset: ${token}`,
+      'If you did not ask for this, you can ignore this email.'
+    ].join('\n\n')
+  });
+};
+
+/**
+ * Marks a reset token as used and returns the id of the user it belongs to,
+ * or null if the token is unknown, expired or already used. The update is
+ * atomic so a token cannot be redeemed twice.
+ */
+const consumeResetToken = async (token) => {
+  if (!token) return null;
+
+  const resetToken = await PasswordResetToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  return resetToken ? resetToken.user : null;
+};
+
+const invalidateResetTokens = (userId) => {
+  return PasswordResetToken.deleteMany({ user: userId, usedAt: null });
+};
+
+module.exports = {
+  requestReset,
+  consumeResetToken,
+  invalidateResetTokens
+};
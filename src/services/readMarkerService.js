@@ -0,0 +1,103 @@
+const Message = require('../models/Message');
+const ReadMarker = require('../models/ReadMarker');
+const User = require('../models/User');
+
+// Matches positions strictly after (createdAt, _id)
+const afterPosition = (createdAt, id) => ({
+  $or: [
+    { createdAt: { $gt: createdAt } },
+    { createdAt, _id: { $gt: id } }
+  ]
+});
+
+/**
+ * Moves a user's read marker in a group forward to a message. Markers never
+ * move backwards, so reading an old message on another device does not make
+ * newer ones unread again. Returns the marker if it moved, otherwise null.
+ */
+const markRead = async (groupId, userId, message) => {
+  const update = {
+    $set: { lastReadMessage: message._id, lastReadAt: message.createdAt }
+  };
+
+  const advanced = await ReadMarker.findOneAndUpdate(
+    {
+      group: groupId,
+      user: userId,
+      $or: [
+        { lastReadAt: { $lt: message.createdAt } },
+        { lastReadAt: message.createdAt, lastReadMessage: { $lt: message._id } }
+      ]
+    },
+    update,
+    { new: true }
+  );
+  if (advanced) return advanced;
+
+  // No marker yet, or it is already at or past this message
+  try {
+    const result = await ReadMarker.updateOne(
+      { group: groupId, user: userId },
+      { $setOnInsert: update.$set },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0
+      ? ReadMarker.findOne({ group: groupId, user: userId })
+      : null;
+  } catch (error) {
+    // Lost an insert race; the other request's marker stands
+    if (error.code === 11000) return markRead(groupId, userId, message);
+    throw error;
+  }
+};
+
+/**
+ * Starts a new member's marker at the latest message so the group's
+ * history does not all count as unread.
+ */
+const startAtLatest = async (groupId, userId) => {
+  const latest = await Message.findOne({ group: groupId })
+    .sort({ createdAt: -1, _id: -1 })
+    .select('createdAt');
+  if (latest) await markRead(groupId, userId, latest);
+};
+
+/**
+ * Counts messages from other people after the user's marker, per group.
+ * Returns a Map of groupId to count.
+ */
+const unreadCounts = async (userId, groupIds) => {
+  const markers = await ReadMarker.find({ user: userId, group: { $in: groupIds } });
+  const byGroup = new Map(markers.map(marker => [marker.group.toString(), marker]));
+
+  const counts = await Promise.all(groupIds.map(groupId => {
+    const marker = byGroup.get(groupId.toString());
+    const query = { group: groupId, sender: { $ne: userId }, deletedAt: null };
+    if (marker) Object.assign(query, afterPosition(marker.lastReadAt, marker.lastReadMessage));
+    return Message.countDocuments(query);
+  }));
+
+  return new Map(groupIds.map((groupId, index) => [groupId.toString(), counts[index]]));
+};
+
+/**
+ * Returns the markers of the given users that are at or past a message,
+ * i.e. who has read it.
+ */
+const readersOf = (groupId, message, userIds) => {
+  return ReadMarker.find({
+    group: groupId,
+    user: { $in: userIds },
+    $or: [
+      { lastReadAt: { $gt: message.createdAt } },
+      { lastReadAt: message.createdAt, lastReadMessage: { $gte: message._id } }
+    ]
+  }).populate('user', User.PUBLIC_PROFILE_FIELDS);
+};
+
+module.exports = {
+  markRead,
+  startAtLatest,
+  unreadCounts,
+  readersOf
+};
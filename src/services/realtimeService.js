@@ -0,0 +1,235 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const tokenService = require('./tokenService');
+
+const HEARTBEAT_INTERVAL = 30000;
+
+let wss = null;
+
+// groupId -> Set of sockets subscribed to that group
+const subscriptions = new Map();
+
+const send = (socket, payload) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(payload));
+  }
+};
+
+// Clients may pass the JWT as ?token= (browsers cannot set headers on a
+// WebSocket) or as a regular Authorization header.
+const extractToken = (req) => {
+  const url = new URL(req.url, 'http://localhost');
+  const queryToken = url.searchParams.get('token');
+  if (queryToken) return queryToken;
+  return req.headers.authorization?.replace('Bearer ', '');
+};
+
+const removeSubscription = (socket, groupId) => {
+  const sockets = subscriptions.get(groupId);
+  if (sockets) {
+    sockets.delete(socket);
+    if (sockets.size === 0) subscriptions.delete(groupId);
+  }
+  socket.groups.delete(groupId);
+};
+
+const subscribe = async (socket, groupId) => {
+  const group = mongoose.isValidObjectId(groupId) && await Group.findById(groupId);
+  if (!group) {
+    return send(socket, { type: 'error', groupId, message: 'Group not found' });
+  }
+
+  if (!group.members.includes(socket.userId)) {
+    return send(socket, { type: 'error', groupId, message: 'Not a member of this group' });
+  }
+
+  const key = group._id.toString();
+  if (!subscriptions.has(key)) subscriptions.set(key, new Set());
+  subscriptions.get(key).add(socket);
+  socket.groups.add(key);
+
+  send(socket, { type: 'subscribed', groupId: key });
+};
+
+const handleMessage = async (socket, raw) => {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    return send(socket, { type: 'error', message: 'Invalid JSON payload' });
+  }
+
+  const groupId = data.groupId?.toString();
+
+  switch (data.type) {
+    case 'subscribe':
+      if (!groupId) return send(socket, { type: 'error', message: 'groupId is required' });
+      return subscribe(socket, groupId);
+    case 'unsubscribe':
+      if (!groupId) return send(socket, { type: 'error', message: 'groupId is required' });
+      removeSubscription(socket, groupId);
+      return send(socket, { type: 'unsubscribed', groupId, reason: 'requested' });
+    case 'ping':
+      return send(socket, { type: 'pong' });
+    default:
+      return send(socket, { type: 'error', message: 'Unknown message type' });
+  }
+};
+
+const handleConnection = async (socket, req) => {
+  socket.groups = new Set();
+  socket.isAlive = true;
+
+  // Frames may arrive while the token is still being verified, so they are
+  // processed in order once authentication has settled.
+  const authenticated = (async () => {
+    const token = extractToken(req);
+    if (!token) {
+      socket.close(4401, 'No token, authorization denied');
+      return false;
+    }
+
+    try {
+      const { userId, sessionId } = await tokenService.verifyAccessToken(token);
+      socket.userId = userId;
+      socket.sessionId = sessionId;
+      return true;
+    } catch (error) {
+      socket.close(4401, 'Token is not valid');
+      return false;
+    }
+  })();
+
+  let queue = authenticated;
+
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+
+  socket.on('message', (raw) => {
+    queue = queue
+      .then((ok) => (ok ? handleMessage(socket, raw).then(() => true) : false))
+      .catch((error) => {
+        console.error('Realtime message error:', error);
+        send(socket, { type: 'error', message: 'Server error' });
+        return true;
+      });
+  });
+
+  socket.on('close', () => {
+    for (const groupId of [...socket.groups]) {
+      removeSubscription(socket, groupId);
+    }
+  });
+
+  if (await authenticated) {
+    send(socket, { type: 'ready', userId: socket.userId });
+  }
+};
+
+/**
+ * Mounts the WebSocket endpoint on the HTTP server that also serves the
+ * Express app.
+ */
+const attach = (server, { path = '/ws' } = {}) => {
+  wss = new WebSocketServer({ server, path });
+
+  wss.on('connection', (socket, req) => {
+    handleConnection(socket, req).catch((error) => {
+      console.error('Realtime connection error:', error);
+      socket.close(1011, 'Server error');
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (socket.isAlive === false) return socket.terminate();
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+/**
+ * Pushes an already decrypted message to everyone subscribed to the group.
+ */
+const publishMessage = (groupId, message) => {
+  const sockets = subscriptions.get(groupId.toString());
+  if (!sockets) return;
+
+  for (const socket of sockets) {
+    send(socket, { type: 'message', groupId: groupId.toString(), message });
+  }
+};
+
+/**
+ * Pushes a non-message event (key changes, membership changes, ...) to
+ * everyone subscribed to the group.
+ */
+const publishEvent = (groupId, type, data = {}) => {
+  const sockets = subscriptions.get(groupId.toString());
+  if (!sockets) return;
+
+  for (const socket of sockets) {
+    send(socket, { type, groupId: groupId.toString(), ...data });
+  }
+};
+
+/**
+ * Drops every subscription a user holds on a group. Called whenever the
+ * user stops being a member so no further messages reach them.
+ */
+const revokeSubscriptions = (groupId, userId, reason) => {
+  const key = groupId.toString();
+  const sockets = subscriptions.get(key);
+  if (!sockets) return;
+
+  for (const socket of [...sockets]) {
+    if (socket.userId?.toString() === userId.toString()) {
+      removeSubscription(socket, key);
+      send(socket, { type: 'unsubscribed', groupId: key, reason });
+    }
+  }
+};
+
+/**
+ * Drops all subscriptions on a group, e.g. when the group is deleted.
+ */
+const closeGroup = (groupId, reason) => {
+  const key = groupId.toString();
+  const sockets = subscriptions.get(key);
+  if (!sockets) return;
+
+  for (const socket of [...sockets]) {
+    removeSubscription(socket, key);
+    send(socket, { type: 'unsubscribed', groupId: key, reason });
+  }
+};
+
+/**
+ * Closes every socket opened with a token from the given session, so a
+ * logged-out or revoked session stops receiving messages straight away.
+ */
+const disconnectSession = (sessionId, reason) => {
+  if (!wss) return;
+
+  wss.clients.forEach((socket) => {
+    if (socket.sessionId?.toString() === sessionId.toString()) {
+      socket.close(4401, `Session revoked: ${reason}`);
+    }
+  });
+};
+
+module.exports = {
+  attach,
+  publishMessage,
+  publishEvent,
+  revokeSubscriptions,
+  closeGroup,
+  disconnectSession
+};
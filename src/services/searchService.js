@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const encryptionService = require('./encryptionService');
+
+// Messages are indexed by keyed hashes of their words, so the server can
+// match a query without storing any plaintext. Someone with the database
+// alone learns which messages share a word, but not what the word is.
+// Only whole words match; there is no prefix or fuzzy search.
+
+const MIN_WORD_LENGTH = 2;
+const MAX_WORD_LENGTH = 64;
+const MAX_TOKENS_PER_MESSAGE = 500;
+const MAX_QUERY_WORDS = 10;
+
+// Lowercased, deduplicated words: runs of letters and digits in any script
+const tokenize = (text) => {
+  const words = (text || '').normalize('NFKC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words.filter(word => word.length >= MIN_WORD_LENGTH && word.length <= MAX_WORD_LENGTH))];
+};
+
+const hashWords = (key, words) => {
+  const keyBytes = Buffer.from(key, 'base64');
+  return words.map(word => crypto.createHmac('sha256', keyBytes).update(word, 'utf8').digest('base64url').slice(0, 22));
+};
+
+/**
+ * Search tokens to store with a message's content. The group should have
+ * been loaded with +searchKey.
+ */
+const indexTokens = async (group, text) => {
+  const words = tokenize(text).slice(0, MAX_TOKENS_PER_MESSAGE);
+  if (words.length === 0) return [];
+  return hashWords(await encryptionService.getSearchKey(group), words);
+};
+
+/**
+ * Tokens to look up for a search query; every one must match. Returns an
+ * empty array when the query has no searchable words.
+ */
+const queryTokens = async (group, query) => {
+  const words = tokenize(query).slice(0, MAX_QUERY_WORDS);
+  if (words.length === 0) return [];
+  return hashWords(await encryptionService.getSearchKey(group), words);
+};
+
+module.exports = {
+  MIN_WORD_LENGTH,
+  tokenize,
+  indexTokens,
+  queryTokens
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const tokenService = require('./tokenService');
+const realtimeService = require('./realtimeService');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found
+// without storing the secret itself
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString('base64url');
+  return `${sessionId}.${secret}`;
+};
+
+const issueTokens = (session, refreshToken) => ({
+  token: tokenService.signAccessToken(session.user, session._id),
+  refreshToken,
+  expiresIn: tokenService.ACCESS_TOKEN_EXPIRES_IN,
+  sessionId: session._id
+});
+
+/**
+ * Starts a new session for a user who has just proven their identity
+ * (register or login) and returns an access/refresh token pair.
+ */
+const createSession = async (userId, req) => {
+  const session = new Session({
+    user: userId,
+    deviceName: req.body?.deviceName,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  const refreshToken = buildRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return issueTokens(session, refreshToken);
+};
+
+/**
+ * Exchanges a refresh token for a new token pair, rotating the refresh
+ * token. Presenting the token that was last rotated away means it has
+ * leaked, so the whole session is revoked. Returns null when the token
+ * cannot be used.
+ */
+const refreshSession = async (refreshToken, req) => {
+  const [sessionId] = (refreshToken || '').split('.');
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) return null;
+
+  const presentedHash = hashToken(refreshToken);
+  const nextRefreshToken = buildRefreshToken(sessionId);
+
+  // Matching on the current hash makes the rotation atomic: of two
+  // concurrent refreshes with the same token only one can succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      previousRefreshTokenHash: presentedHash,
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry(),
+      ...(req.get('User-Agent') && { userAgent: req.get('User-Agent') }),
+      ...(req.ip && { ip: req.ip })
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // Session ids are not secret, so only a secret we issued earlier counts
+    // as reuse; anything else is just an invalid token
+    const reused = await Session.findOne({ _id: sessionId, previousRefreshTokenHash: presentedHash });
+    if (reused && reused.isActive()) {
+      await revokeSession(reused._id, 'refresh_token_reuse');
+    }
+    return null;
+  }
+
+  return issueTokens(session, nextRefreshToken);
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  realtimeService.disconnectSession(sessionId, reason);
+};
+
+/**
+ * Revokes every active session of a user, optionally keeping one (the
+ * caller's own session when they only want to sign out other devices).
+ */
+const revokeAllSessions = async (userId, { reason = 'logout_all', except } = {}) => {
+  const query = { user: userId, revokedAt: null };
+  if (except) query._id = { $ne: except };
+
+  const sessions = await Session.find(query).select('_id');
+  await Session.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  sessions.forEach(session => realtimeService.disconnectSession(session._id, reason));
+  return sessions.length;
+};
+
+const listActiveSessions = (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions
+};
@@ -0,0 +1,28 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const STORAGE_DIR = process.env.STORAGE_LOCAL_DIR || path.join(os.tmpdir(), 'secure-group-storage');
+
+// Object keys are generated by the server, but never let one escape the directory
+const resolve = (key) => {
+  const filePath = path.resolve(STORAGE_DIR, key);
+  if (!filePath.startsWith(path.resolve(STORAGE_DIR) + path.sep)) {
+    throw new Error(`Invalid storage key ${key}`);
+  }
+  return filePath;
+};
+
+// Development/test driver: stores each object as a file on local disk
+module.exports = {
+  name: 'local',
+  put: async (key, data) => {
+    const filePath = resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, data);
+  },
+  get: (key) => fs.readFile(resolve(key)),
+  delete: async (key) => {
+    await fs.rm(resolve(key), { force: true });
+  }
+};
@@ -0,0 +1,54 @@
+// Works with AWS S3 and S3-compatible services (MinIO, R2, Spaces, ...).
+// @aws-sdk/client-s3 is only needed when this driver is used, so it is
+// loaded lazily rather than being a hard dependency.
+let client;
+let sdk;
+
+const getClient = () => {
+  if (client) return client;
+
+  if (!process.env.S3_BUCKET) {
+    throw new Error('S3_BUCKET is not set');
+  }
+
+  try {
+    sdk = require('@aws-sdk/client-s3');
+  } catch (error) {
+    throw new Error('STORAGE_DRIVER=s3 requires the @aws-sdk/client-s3 package');
+  }
+
+  // Credentials come from the usual AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY chain
+  client = new sdk.S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  });
+  return client;
+};
+
+const objectKey = (key) => `${process.env.S3_PREFIX || ''}${key}`;
+
+module.exports = {
+  name: 's3',
+  put: async (key, data) => {
+    await getClient().send(new sdk.PutObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: objectKey(key),
+      Body: data,
+      ContentType: 'application/octet-stream'
+    }));
+  },
+  get: async (key) => {
+    const result = await getClient().send(new sdk.GetObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: objectKey(key)
+    }));
+    return Buffer.from(await result.Body.transformToByteArray());
+  },
+  delete: async (key) => {
+    await getClient().send(new sdk.DeleteObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: objectKey(key)
+    }));
+  }
+};
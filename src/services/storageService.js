@@ -0,0 +1,39 @@
+const localStorageDriver = require('./storage/localStorageDriver');
+const s3StorageDriver = require('./storage/s3StorageDriver');
+
+const drivers = {
+  local: localStorageDriver,
+  s3: s3StorageDriver
+};
+
+// A driver is any object with async put(key, buffer), async get(key)
+// returning a Buffer, and async delete(key). Attachments handed to a driver
+// are already encrypted; avatars are public and stored as-is.
+// STORAGE_DRIVER picks a built-in driver; setDriver plugs in another at
+// startup.
+let driver = drivers[process.env.STORAGE_DRIVER || 'local'] || localStorageDriver;
+
+const setDriver = (customDriver) => {
+  if (!customDriver || ['put', 'get', 'delete'].some(method => typeof customDriver[method] !== 'function')) {
+    throw new Error('Storage driver must implement put, get and delete');
+  }
+  driver = customDriver;
+};
+
+const put = (key, data) => driver.put(key, data);
+
+const get = (key) => driver.get(key);
+
+// Cleanup is best effort; a leftover encrypted blob is harmless
+const remove = async (keys) => {
+  await Promise.all(keys.map(key => driver.delete(key).catch(error => {
+    console.error(`Could not delete stored object ${key}:`, error.message);
+  })));
+};
+
+module.exports = {
+  setDriver,
+  put,
+  get,
+  remove
+};
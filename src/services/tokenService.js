@@ -0,0 +1,43 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+// Avoid a write on every request; lastUsedAt only needs to be roughly right
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Shared by the HTTP auth middleware and the WebSocket handshake so both
+// accept exactly the same tokens. A token is only valid while the session it
+// was issued for is still active, which lets logout take effect before expiry.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!decoded.sid) {
+    throw new Error('Token is not bound to a session');
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || !session.user.equals(decoded.userId)) {
+    throw new Error('Session is no longer active');
+  }
+
+  if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+  }
+
+  return { userId: decoded.userId, sessionId: decoded.sid };
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  signAccessToken,
+  verifyAccessToken
+};
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_PAGE_SIZE = parseInt(process.env.MESSAGE_PAGE_SIZE || '50', 10);
+const MAX_PAGE_SIZE = parseInt(process.env.MESSAGE_PAGE_SIZE_MAX || '100', 10);
+
+// Cursors are opaque to clients: base64url of the (createdAt, _id) pair of
+// the message at the edge of a page. _id breaks ties between messages that
+// share a timestamp.
+const encodeCursor = (doc) => {
+  if (!doc) return null;
+  const payload = JSON.stringify({ t: new Date(doc.createdAt).getTime(), id: doc._id.toString() });
+  return Buffer.from(payload).toString('base64url');
+};
+
+// Returns null for anything that isn't a cursor we produced
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isFinite(t) || !mongoose.isValidObjectId(id)) return null;
+    return { createdAt: new Date(t), _id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseLimit = (value, { defaultLimit = DEFAULT_PAGE_SIZE, maxLimit = MAX_PAGE_SIZE } = {}) => {
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit < 1) return defaultLimit;
+  return Math.min(limit, maxLimit);
+};
+
+// Query fragments for documents strictly before/after a cursor position
+const beforeCursor = ({ createdAt, _id }) => ({
+  $or: [
+    { createdAt: { $lt: createdAt } },
+    { createdAt, _id: { $lt: _id } }
+  ]
+});
+
+const afterCursor = ({ createdAt, _id }) => ({
+  $or: [
+    { createdAt: { $gt: createdAt } },
+    { createdAt, _id: { $gt: _id } }
+  ]
+});
+
+const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+const OLDEST_FIRST = { createdAt: 1, _id: 1 };
+
+/**
+ * Loads one page of a (createdAt, _id) ordered collection.
+ *
+ * - before: cursor; the page just older than it
+ * - after: cursor; the page just newer than it
+ * - around: a document (already loaded); it plus the documents either side
+ * - none of these: the newest page
+ *
+ * Documents come back oldest first. hasMore says whether anything exists
+ * beyond the page on each side and nextCursor holds the cursors to pass as
+ * before/after to keep paging.
+ */
+const paginate = async (model, baseQuery, { before, after, around, limit, populate }) => {
+  const run = (extra, sort, count) => {
+    let query = model.find({ $and: [baseQuery, extra] }).sort(sort).limit(count);
+    if (populate) query = query.populate(...populate);
+    return query;
+  };
+
+  let items;
+  let hasMoreBefore;
+  let hasMoreAfter;
+
+  if (around) {
+    const olderCount = Math.floor((limit - 1) / 2);
+    const newerCount = limit - 1 - olderCount;
+    const [older, pivot, newer] = await Promise.all([
+      run(beforeCursor(around), NEWEST_FIRST, olderCount + 1),
+      run({ _id: around._id }, NEWEST_FIRST, 1),
+      run(afterCursor(around), OLDEST_FIRST, newerCount + 1)
+    ]);
+    hasMoreBefore = older.length > olderCount;
+    hasMoreAfter = newer.length > newerCount;
+    items = [
+      ...older.slice(0, olderCount).reverse(),
+      ...pivot,
+      ...newer.slice(0, newerCount)
+    ];
+  } else if (after) {
+    const newer = await run(afterCursor(after), OLDEST_FIRST, limit + 1);
+    hasMoreAfter = newer.length > limit;
+    hasMoreBefore = true;
+    items = newer.slice(0, limit);
+  } else {
+    const older = await run(before ? beforeCursor(before) : {}, NEWEST_FIRST, limit + 1);
+    hasMoreBefore = older.length > limit;
+    hasMoreAfter = Boolean(before);
+    items = older.slice(0, limit).reverse();
+  }
+
+  return {
+    items,
+    hasMore: { before: hasMoreBefore, after: hasMoreAfter },
+    // An empty page hands back the cursor it was given so clients can keep polling
+    nextCursor: {
+      before: encodeCursor(items[0] || before || around),
+      after: encodeCursor(items[items.length - 1] || after || around)
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  paginate
+};